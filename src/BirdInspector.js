@@ -0,0 +1,346 @@
+import {
+  ArrowHelper,
+  BufferAttribute,
+  BufferGeometry,
+  Group,
+  LineBasicMaterial,
+  LineSegments,
+  Points,
+  PointsMaterial,
+  Raycaster,
+  SphereBufferGeometry,
+  Vector2,
+  Vector3,
+  WireframeGeometry,
+} from "THREE";
+import SpatialGrid from "./simulation/SpatialGrid.js";
+import { getNeighborRadius } from "./simulation/settings.js";
+
+// Click a bird to select it. The selected bird gets a ring, its flockmates a
+// dot each, and an overlay lists its flock, velocity, neighbors and the
+// flocking forces acting on it. Debug gizmos optionally draw its neighbor
+// radii and force arrows in the scene.
+//
+// Birds are drawn by instanced meshes, so picking casts a ray against the
+// bare transforms in each flock's group instead, taking the one nearest the
+// camera within PICK_RADIUS of the ray.
+
+// How far from the ray a bird can be and still be picked, in world units
+const PICK_RADIUS = 1.5;
+
+// Pointer travel, in pixels, beyond which a press is a drag and not a click
+const CLICK_TOLERANCE = 5;
+
+// Seconds between overlay and force refreshes
+const REFRESH_INTERVAL = 0.1;
+
+// World units of arrow per unit of acceleration, and the longest arrow drawn
+const FORCE_ARROW_SCALE = 0.1;
+const MAX_ARROW_LENGTH = 15;
+
+const HIGHLIGHT_COLOR = 0xffeb3b;
+const GIZMO_COLORS = {
+  velocity: 0xffffff,
+  separation: 0xef5350,
+  alignment: 0x66bb6a,
+  cohesion: 0x42a5f5,
+};
+
+const scratch = new Vector3();
+
+export default class BirdInspector {
+  constructor(
+    camera,
+    scene,
+    domElement,
+    simulationView,
+    overlayParent = document.body
+  ) {
+    this.camera = camera;
+    this.scene = scene;
+    this.domElement = domElement;
+    this.simulationView = simulationView;
+
+    // Off while clicks mean something else, such as placing waypoints
+    this.enabled = true;
+    this.selected = null;
+    this.forces = null;
+    this.sinceRefresh = 0;
+    this.gizmosVisible = false;
+
+    this.raycaster = new Raycaster();
+    this.pointer = new Vector2();
+    this.pressedAt = null;
+
+    this.createHighlight();
+    this.createGizmos();
+    this.createOverlay(overlayParent);
+
+    // Kept so dispose() can remove them
+    this.onPointerDown = (event) => {
+      this.pressedAt = { x: event.clientX, y: event.clientY };
+    };
+    this.onPointerUp = (event) => {
+      const pressedAt = this.pressedAt;
+      this.pressedAt = null;
+      if (
+        this.enabled &&
+        pressedAt &&
+        Math.hypot(event.clientX - pressedAt.x, event.clientY - pressedAt.y) <=
+          CLICK_TOLERANCE
+      ) {
+        this.select(this.pick(event));
+      }
+    };
+    this.onKeyDown = (event) => {
+      if (event.key === "Escape") {
+        this.select(null);
+      }
+    };
+    domElement.addEventListener("pointerdown", this.onPointerDown);
+    domElement.addEventListener("pointerup", this.onPointerUp);
+    window.addEventListener("keydown", this.onKeyDown);
+  }
+
+  // Remove the overlay and listeners; the scene objects go with the scene
+  dispose() {
+    this.domElement.removeEventListener("pointerdown", this.onPointerDown);
+    this.domElement.removeEventListener("pointerup", this.onPointerUp);
+    window.removeEventListener("keydown", this.onKeyDown);
+    this.overlay.remove();
+  }
+
+  // A ring around the selected bird and a dot on each flockmate
+  createHighlight() {
+    this.ring = new LineSegments(
+      new WireframeGeometry(new SphereBufferGeometry(1.2, 12, 8)),
+      new LineBasicMaterial({ color: HIGHLIGHT_COLOR, fog: false })
+    );
+
+    this.flockmates = new Points(
+      new BufferGeometry(),
+      new PointsMaterial({
+        color: HIGHLIGHT_COLOR,
+        size: 6,
+        sizeAttenuation: false,
+        fog: false,
+      })
+    );
+    this.flockmates.frustumCulled = false;
+
+    this.highlight = new Group();
+    this.highlight.visible = false;
+    this.highlight.add(this.ring, this.flockmates);
+    this.scene.add(this.highlight);
+  }
+
+  // Neighbor radii as wireframe spheres, and arrows for velocity and each
+  // flocking force
+  createGizmos() {
+    const sphere = new WireframeGeometry(new SphereBufferGeometry(1, 16, 10));
+    this.radii = {};
+    this.arrows = {};
+    this.gizmos = new Group();
+    this.gizmos.visible = false;
+
+    for (const [name, color] of Object.entries(GIZMO_COLORS)) {
+      if (name !== "velocity") {
+        const material = new LineBasicMaterial({
+          color,
+          transparent: true,
+          opacity: 0.25,
+          fog: false,
+        });
+        this.radii[name] = new LineSegments(sphere, material);
+        this.gizmos.add(this.radii[name]);
+      }
+
+      this.arrows[name] = new ArrowHelper(
+        new Vector3(0, 0, 1),
+        new Vector3(),
+        1,
+        color
+      );
+      this.gizmos.add(this.arrows[name]);
+    }
+
+    this.scene.add(this.gizmos);
+  }
+
+  createOverlay(parent) {
+    this.overlay = document.createElement("div");
+    this.overlay.className = "bird-inspector";
+    this.overlay.hidden = true;
+    parent.appendChild(this.overlay);
+  }
+
+  setGizmosVisible(visible) {
+    this.gizmosVisible = visible;
+    this.gizmos.visible = visible && this.selected !== null;
+  }
+
+  // The bird under the pointer, or null
+  pick(event) {
+    const rect = this.domElement.getBoundingClientRect();
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+    const { ray } = this.raycaster;
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    this.simulationView.flockGroups.forEach((group) => {
+      for (const model of group.children) {
+        if (ray.distanceSqToPoint(model.position) > PICK_RADIUS ** 2) continue;
+
+        const distance = scratch
+          .subVectors(model.position, ray.origin)
+          .dot(ray.direction);
+        if (distance > 0 && distance < nearestDistance) {
+          nearest = model.userData.bird;
+          nearestDistance = distance;
+        }
+      }
+    });
+    return nearest;
+  }
+
+  select(bird) {
+    this.selected = bird;
+    this.forces = null;
+    this.sinceRefresh = REFRESH_INTERVAL;
+    this.highlight.visible = bird !== null;
+    this.gizmos.visible = this.gizmosVisible && bird !== null;
+    this.overlay.hidden = bird === null;
+  }
+
+  update(delta) {
+    const bird = this.selected;
+    if (!bird) return;
+
+    const view = this.simulationView.birdViews.get(bird);
+    if (!view) {
+      // Removed from the simulation
+      this.select(null);
+      return;
+    }
+
+    this.sinceRefresh += delta;
+    if (this.sinceRefresh >= REFRESH_INTERVAL) {
+      this.sinceRefresh = 0;
+      this.forces = this.measureForces(bird);
+      this.updateOverlay(bird);
+    }
+
+    const position = view.model.position;
+    this.ring.position.copy(position);
+    this.updateFlockmates(bird);
+    if (this.gizmos.visible) {
+      this.updateGizmos(bird, position);
+    }
+  }
+
+  // Flocking forces as they stand, found the way a step would find them but
+  // against a grid of our own, since a worker-backed simulation has none
+  measureForces(bird) {
+    const simulation = this.simulationView.simulation;
+    const grid = new SpatialGrid(getNeighborRadius(simulation.settings));
+    simulation
+      .getAllBirds()
+      .forEach((other) => grid.insert(other, other.flock));
+    grid.repelAll(simulation.settings.interFlock.avoidDistance);
+    return bird.getFlockingForces(grid);
+  }
+
+  updateFlockmates(bird) {
+    const { birdViews } = this.simulationView;
+    const mates = bird.flock.birds.filter((other) => other !== bird);
+    const geometry = this.flockmates.geometry;
+
+    let attribute = geometry.attributes.position;
+    if (!attribute || attribute.count < mates.length) {
+      const capacity = Math.max(16, mates.length * 2);
+      attribute = new BufferAttribute(new Float32Array(capacity * 3), 3);
+      geometry.addAttribute("position", attribute);
+    }
+
+    mates.forEach((other, i) => {
+      const view = birdViews.get(other);
+      if (view) {
+        view.model.position.toArray(attribute.array, i * 3);
+      }
+    });
+    attribute.needsUpdate = true;
+    geometry.setDrawRange(0, mates.length);
+  }
+
+  updateGizmos(bird, position) {
+    const { params } = this.simulationView.simulation.settings;
+    const { radii } = bird.species;
+    this.radii.separation.scale.setScalar(
+      params.separationDistance * radii.separation
+    );
+    this.radii.alignment.scale.setScalar(
+      params.alignmentDistance * radii.alignment
+    );
+    this.radii.cohesion.scale.setScalar(
+      params.cohesionDistance * radii.cohesion
+    );
+    Object.values(this.radii).forEach((sphere) =>
+      sphere.position.copy(position)
+    );
+
+    this.setArrow(this.arrows.velocity, position, bird.velocity, 1);
+    if (this.forces) {
+      for (const name of ["separation", "alignment", "cohesion"]) {
+        this.setArrow(
+          this.arrows[name],
+          position,
+          this.forces[name],
+          FORCE_ARROW_SCALE
+        );
+      }
+    }
+  }
+
+  setArrow(arrow, origin, vector, scale) {
+    const length = Math.min(MAX_ARROW_LENGTH, vector.length() * scale);
+    arrow.visible = length > 0;
+    if (!arrow.visible) return;
+
+    arrow.position.copy(origin);
+    arrow.setDirection(scratch.copy(vector).normalize());
+    arrow.setLength(
+      length,
+      Math.min(1, length * 0.3),
+      Math.min(0.6, length * 0.2)
+    );
+  }
+
+  updateOverlay(bird) {
+    const format = (v) =>
+      `(${v.x.toFixed(1)}, ${v.y.toFixed(1)}, ${v.z.toFixed(1)}) |${v
+        .length()
+        .toFixed(1)}|`;
+    const rows = [
+      ["Bird", `${bird.id} (${bird.species.id})`],
+      ["Flock", `${bird.flock.id}, ${bird.flock.birds.length} birds`],
+      ["Velocity", format(bird.velocity)],
+      ["Neighbors", this.forces.neighborCount],
+      ["Separation", format(this.forces.separation)],
+      ["Alignment", format(this.forces.alignment)],
+      ["Cohesion", format(this.forces.cohesion)],
+    ];
+
+    this.overlay.textContent = "";
+    for (const [label, value] of rows) {
+      const row = document.createElement("div");
+      const name = document.createElement("span");
+      name.textContent = label;
+      row.append(name, String(value));
+      this.overlay.appendChild(row);
+    }
+  }
+}
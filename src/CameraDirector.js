@@ -0,0 +1,260 @@
+import { CatmullRomCurve3, Vector3 } from "THREE";
+import Emitter from "./simulation/Emitter.js";
+
+// Moves the camera for the selected mode:
+//   orbit       free OrbitControls, the starting mode
+//   follow      trails a flock's centroid at a fixed distance
+//   chase       sits behind one bird of that flock, looking where it flies
+//   frame       backs off until every flock is in view
+//   flythrough  plays a scripted spline through keyframes, then orbits
+// Switching modes eases from wherever the camera is into the new mode over
+// blendTime. Dragging or zooming the camera in any mode hands control
+// back to orbit, around whatever the camera was looking at. Every switch
+// fires "modeChanged" with the new mode.
+
+// Camera settings, editable live from the tuning panel
+export const CAMERA_SETTINGS = {
+  mode: "orbit",
+  // Index into the simulation's flocks for follow and chase
+  flock: 0,
+  blendTime: 1.5,
+  followDistance: 45,
+  chaseDistance: 8,
+  chaseHeight: 2.5,
+  // Extra room left around the flocks when framing them
+  frameMargin: 1.3,
+  flythroughDuration: 30,
+  // How quickly the camera catches up with moving subjects, per second
+  smoothing: 3,
+};
+
+export const CAMERA_MODES = ["orbit", "follow", "chase", "frame", "flythrough"];
+
+// Camera positions and look targets the flythrough passes through in turn
+export const FLYTHROUGH_KEYFRAMES = [
+  { position: [-1.5, 1.5, 60], target: [0, 0, 0] },
+  { position: [45, 20, 30], target: [10, 5, 0] },
+  { position: [40, 35, -45], target: [0, 20, -35] },
+  { position: [-20, 5, -50], target: [-30, 0, 10] },
+  { position: [-55, -20, 10], target: [0, -10, 0] },
+  { position: [-25, 10, 50], target: [0, 0, 0] },
+];
+
+const UP = new Vector3(0, 1, 0);
+const heading = new Vector3();
+const center = new Vector3();
+const offset = new Vector3();
+
+export default class CameraDirector extends Emitter {
+  constructor(
+    camera,
+    controls,
+    simulationView,
+    settings = CAMERA_SETTINGS,
+    keyframes = FLYTHROUGH_KEYFRAMES
+  ) {
+    super();
+    this.camera = camera;
+    this.controls = controls;
+    this.simulationView = simulationView;
+    this.settings = settings;
+
+    // Pose the current mode would like, the point the camera is actually
+    // looking at, and the pose it eases from after a switch
+    this.position = new Vector3().copy(camera.position);
+    this.target = new Vector3().copy(controls.target);
+    this.lookTarget = new Vector3().copy(controls.target);
+    this.fromPosition = new Vector3();
+    this.fromTarget = new Vector3();
+    this.blend = 1;
+
+    // Mode state: the bird being chased, its smoothed heading, and how far
+    // the flythrough has got
+    this.chased = null;
+    this.chaseHeading = new Vector3(0, 0, -1);
+    this.flythrough = null;
+    this.flythroughTime = 0;
+
+    this.mode = "orbit";
+    this.setKeyframes(keyframes);
+    this.setMode(settings.mode);
+
+    // Controls stay enabled in every mode; the first drag or zoom that
+    // actually moves the camera hands it back to orbit. Clicks alone don't.
+    let grabbed = false;
+    controls.addEventListener("start", () => (grabbed = true));
+    controls.addEventListener("end", () => (grabbed = false));
+    controls.addEventListener("change", () => {
+      if (grabbed && this.mode !== "orbit") {
+        this.setMode("orbit");
+      }
+    });
+  }
+
+  // Keyframes are { position, target } pairs of [x, y, z]
+  setKeyframes(keyframes) {
+    const points = (key) =>
+      keyframes.map((keyframe) => new Vector3().fromArray(keyframe[key]));
+    this.flythrough = {
+      positions: new CatmullRomCurve3(points("position")),
+      targets: new CatmullRomCurve3(points("target")),
+    };
+  }
+
+  setMode(mode) {
+    if (!CAMERA_MODES.includes(mode)) {
+      throw new Error(`Unknown camera mode "${mode}"`);
+    }
+
+    this.mode = mode;
+    this.settings.mode = mode;
+    this.chased = null;
+    this.flythroughTime = 0;
+
+    // Ease from the current view into the new mode
+    this.fromPosition.copy(this.camera.position);
+    this.fromTarget.copy(this.lookTarget);
+    this.position.copy(this.camera.position);
+    this.target.copy(this.lookTarget);
+    this.blend = 0;
+
+    // Orbit picks up from wherever the camera was looking
+    if (mode === "orbit") {
+      this.controls.target.copy(this.lookTarget);
+      this.controls.update();
+    }
+    this.emit("modeChanged", mode);
+  }
+
+  update(delta) {
+    if (this.mode === "orbit") {
+      this.lookTarget.copy(this.controls.target);
+      return;
+    }
+
+    const settings = this.settings;
+    const smoothing = Math.min(1, settings.smoothing * delta);
+    switch (this.mode) {
+      case "follow":
+        this.updateFollow(smoothing);
+        break;
+      case "chase":
+        this.updateChase(smoothing);
+        break;
+      case "frame":
+        this.updateFrame(smoothing);
+        break;
+      case "flythrough":
+        this.updateFlythrough(delta);
+        break;
+    }
+
+    // Smoothstep from the pose held at the switch into the mode's own
+    this.blend = Math.min(1, this.blend + delta / settings.blendTime);
+    const t = this.blend * this.blend * (3 - 2 * this.blend);
+    this.camera.position.lerpVectors(this.fromPosition, this.position, t);
+    this.lookTarget.lerpVectors(this.fromTarget, this.target, t);
+    this.camera.lookAt(this.lookTarget);
+    // So a drag turns the camera about what it's looking at
+    this.controls.target.copy(this.lookTarget);
+
+    if (this.mode === "flythrough" && this.flythroughTime >= 1) {
+      this.setMode("orbit");
+    }
+  }
+
+  // The flock picked in the settings, wrapping around as flocks come and go
+  getFlock() {
+    const { flocks } = this.simulationView.simulation;
+    if (flocks.length === 0) return null;
+    const index = Math.round(this.settings.flock);
+    return flocks[((index % flocks.length) + flocks.length) % flocks.length];
+  }
+
+  // Hold the camera's current bearing on the flock, at followDistance
+  updateFollow(smoothing) {
+    const flock = this.getFlock();
+    if (!flock) return;
+
+    this.target.lerp(offset.copy(flock.center), smoothing);
+    offset.subVectors(this.position, this.target);
+    if (offset.lengthSq() === 0) {
+      offset.set(0, 0, 1);
+    }
+    offset.setLength(this.settings.followDistance);
+    this.position.addVectors(this.target, offset);
+  }
+
+  updateChase(smoothing) {
+    const flock = this.getFlock();
+    if (!this.chased || this.chased.flock !== flock) {
+      this.chased = flock && flock.birds.length > 0 ? flock.birds[0] : null;
+    }
+    const view = this.chased && this.simulationView.birdViews.get(this.chased);
+    if (!view) {
+      this.chased = null;
+      return;
+    }
+
+    // Drawn positions are interpolated, so they move more smoothly than the
+    // bird itself
+    const position = view.model.position;
+    if (this.chased.velocity.lengthSq() > 0) {
+      heading.copy(this.chased.velocity).normalize();
+      this.chaseHeading.lerp(heading, smoothing).normalize();
+    }
+
+    const { chaseDistance, chaseHeight } = this.settings;
+    this.position
+      .copy(position)
+      .addScaledVector(this.chaseHeading, -chaseDistance)
+      .addScaledVector(UP, chaseHeight);
+    this.target
+      .copy(position)
+      .addScaledVector(this.chaseHeading, chaseDistance);
+  }
+
+  // Look at the middle of the flocks from the current direction, far enough
+  // back that a sphere around them all fits the narrower field of view
+  updateFrame(smoothing) {
+    const { flocks } = this.simulationView.simulation;
+    if (flocks.length === 0) return;
+
+    center.set(0, 0, 0);
+    flocks.forEach((flock) => center.add(flock.center));
+    center.divideScalar(flocks.length);
+
+    let radius = 1;
+    flocks.forEach((flock) => {
+      radius = Math.max(
+        radius,
+        center.distanceTo(offset.copy(flock.center)) + flock.spread
+      );
+    });
+
+    const camera = this.camera;
+    const verticalFov = (camera.fov * Math.PI) / 360;
+    const horizontalFov = Math.atan(Math.tan(verticalFov) * camera.aspect);
+    const distance =
+      (radius * this.settings.frameMargin) /
+      Math.sin(Math.min(verticalFov, horizontalFov));
+
+    this.target.lerp(center, smoothing);
+    offset.subVectors(this.position, this.target);
+    if (offset.lengthSq() === 0) {
+      offset.set(0, 0, 1);
+    }
+    const current = offset.length();
+    offset.setLength(current + (distance - current) * smoothing);
+    this.position.addVectors(this.target, offset);
+  }
+
+  updateFlythrough(delta) {
+    this.flythroughTime = Math.min(
+      1,
+      this.flythroughTime + delta / this.settings.flythroughDuration
+    );
+    this.flythrough.positions.getPointAt(this.flythroughTime, this.position);
+    this.flythrough.targets.getPointAt(this.flythroughTime, this.target);
+  }
+}
@@ -0,0 +1,280 @@
+import {
+  AdditiveBlending,
+  BackSide,
+  Color,
+  Group,
+  Mesh,
+  NormalBlending,
+  PlaneBufferGeometry,
+  ShaderMaterial,
+} from "THREE";
+import { noiseChunk } from "./noiseChunk.js";
+
+// Layers of procedural cloud on planes behind the flocks, plus a faint sheet
+// of swirling fog just in front of them. Each layer is described by a plain
+// config object that is re-read every update, so editing one live moves,
+// resizes or restyles that layer on the next frame.
+
+// Cloud layers, farthest first:
+//   depth       distance behind the origin along -z
+//   offset      [x, y] shift of the plane
+//   rotation    roll of the plane, in radians
+//   size        scale of the plane
+//   noiseScale  how large cloud formations are; bigger is smaller clouds
+//   coverage    0 for clear sky to 1 for overcast
+//   speed       drift rate, 1 being the original pace
+//   tint        color mixed into the thicker parts of the cloud
+export const CLOUD_LAYERS = [
+  {
+    depth: 200,
+    offset: [0, 0],
+    rotation: 0.2,
+    size: 1,
+    noiseScale: 1.5,
+    coverage: 0.35,
+    speed: 1,
+    tint: "#b399e6",
+  },
+  {
+    depth: 150,
+    offset: [0, 0],
+    rotation: -0.1,
+    size: 0.8,
+    noiseScale: 1.7,
+    coverage: 0.3,
+    speed: 1.3,
+    tint: "#b399e6",
+  },
+  {
+    depth: 100,
+    offset: [-30, 10],
+    rotation: 0.15,
+    size: 0.6,
+    noiseScale: 1.9,
+    coverage: 0.3,
+    speed: 1.6,
+    tint: "#b399e6",
+  },
+  {
+    depth: 80,
+    offset: [10, -5],
+    rotation: -0.05,
+    size: 0.4,
+    noiseScale: 2.1,
+    coverage: 0.25,
+    speed: 2,
+    tint: "#b399e6",
+  },
+];
+
+// The fog sheet, configured like a cloud layer but drawn additively
+export const FOG_LAYER = {
+  depth: 1,
+  offset: [0, 0],
+  rotation: 0,
+  size: 0.6,
+  noiseScale: 3,
+  coverage: 0.4,
+  speed: 1,
+};
+
+const PLANE_SIZE = 500;
+
+// Noise octaves summed by the cloud layers at full detail; the fog sheet
+// takes one fewer
+const CLOUD_OCTAVES = 5;
+
+const vertexShader = `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const cloudShader = `
+  uniform float time;
+  uniform vec3 skyColor;
+  uniform vec3 cloudColor;
+  uniform float cloudOpacity;
+  uniform float noiseScale;
+  uniform float coverage;
+  uniform float speed;
+  uniform int octaves;
+  uniform vec3 tint;
+  varying vec2 vUv;
+
+  ${noiseChunk}
+
+  void main() {
+    vec2 uv = vUv * 2.0 - 1.0;
+    float t = time * speed;
+    float drift = t * 0.01;
+    float scale = noiseScale;
+
+    // Several layers of noise at different scales and drift directions
+    float n1 = fbm(vec2(uv.x * scale + drift * 0.5, uv.y * scale), octaves, 0.75);
+    float n2 = fbm(vec2(uv.x * scale * 2.0 - drift * 0.2, uv.y * scale * 2.0), octaves, 0.75);
+    float n3 = fbm(vec2(uv.x * scale * 0.5 + drift * 0.1, uv.y * scale * 0.5), octaves, 0.75);
+    float n4 = fbm(vec2(uv.x * scale * 0.7 - drift * 0.15, uv.y * scale * 0.7), octaves, 0.75);
+    float clouds = n1 * 0.4 + n2 * 0.3 + n3 * 0.2 + n4 * 0.1;
+
+    // More coverage lets more of the noise through as cloud
+    clouds = smoothstep(0.0, 1.0 - coverage, clouds);
+
+    // Thin the clouds out toward the bottom of the plane
+    clouds *= smoothstep(0.0, 0.8, vUv.y * 1.2);
+
+    // Fine detail, sharper edges and a little depth
+    float detail = fbm(vec2(uv.x * 5.0 + t * 0.03, uv.y * 5.0), octaves, 0.75);
+    clouds = mix(clouds, clouds * detail, 0.1);
+    clouds = mix(clouds, smoothstep(0.3, 0.7, clouds), 0.5);
+    float depth = fbm(vec2(uv.x * 3.0 - t * 0.02, uv.y * 3.0), octaves, 0.75);
+    float density = mix(clouds, clouds * depth, 0.3);
+
+    vec3 color = mix(skyColor, cloudColor, density * cloudOpacity);
+    color = mix(color, tint, density * 0.3);
+
+    gl_FragColor = vec4(color, density * cloudOpacity);
+  }
+`;
+
+const fogShader = `
+  uniform float time;
+  uniform vec3 fogColor;
+  uniform float noiseScale;
+  uniform float coverage;
+  uniform float speed;
+  uniform int octaves;
+  varying vec2 vUv;
+
+  ${noiseChunk}
+
+  void main() {
+    vec2 uv = vUv * 2.0 - 1.0;
+    float t = time * speed * 0.01;
+
+    // Two scales of swirl blended for depth
+    float noise1 = fbm(vec2(uv.x * noiseScale + t, uv.y * noiseScale), octaves, 0.5);
+    float noise2 = fbm(vec2(uv.x * noiseScale * 0.5 - t * 0.5, uv.y * noiseScale * 0.5), octaves, 0.5);
+    float density = mix(noise1, noise2, 0.5);
+
+    // Thinner in the middle of the view
+    density = mix(density, density * length(uv) * 0.5, 0.3);
+
+    float opacity = smoothstep(0.1, 1.0 - coverage, density) * 0.3;
+    gl_FragColor = vec4(fogColor, opacity);
+  }
+`;
+
+export default class CloudLayers {
+  constructor(layers = CLOUD_LAYERS, fog = FOG_LAYER) {
+    this.group = new Group();
+    this.geometry = new PlaneBufferGeometry(PLANE_SIZE, PLANE_SIZE, 1, 1);
+
+    this.layers = layers.map((config) =>
+      this.addLayer(
+        config,
+        new ShaderMaterial({
+          uniforms: {
+            skyColor: { value: new Color() },
+            cloudColor: { value: new Color() },
+            cloudOpacity: { value: 1 },
+            tint: { value: new Color() },
+            ...this.createSharedUniforms(),
+          },
+          vertexShader,
+          fragmentShader: cloudShader,
+          side: BackSide,
+          transparent: true,
+          depthWrite: false,
+          blending: NormalBlending,
+        })
+      )
+    );
+
+    this.fog = this.addLayer(
+      fog,
+      new ShaderMaterial({
+        uniforms: {
+          fogColor: { value: new Color() },
+          ...this.createSharedUniforms(),
+        },
+        vertexShader,
+        fragmentShader: fogShader,
+        transparent: true,
+        depthWrite: false,
+        blending: AdditiveBlending,
+      })
+    );
+    this.setDetail(CLOUD_OCTAVES, this.layers.length);
+  }
+
+  createSharedUniforms() {
+    return {
+      time: { value: 0 },
+      noiseScale: { value: 1 },
+      coverage: { value: 0 },
+      speed: { value: 1 },
+      octaves: { value: CLOUD_OCTAVES },
+    };
+  }
+
+  addLayer(config, material) {
+    const mesh = new Mesh(this.geometry, material);
+    this.group.add(mesh);
+    const layer = { config, mesh, material };
+    this.applyConfig(layer);
+    return layer;
+  }
+
+  // Copy a layer's config onto its plane and uniforms
+  applyConfig({ config, mesh, material }) {
+    mesh.position.set(config.offset[0], config.offset[1], -config.depth);
+    mesh.rotation.z = config.rotation;
+    mesh.scale.set(config.size, config.size, 1);
+
+    const { uniforms } = material;
+    uniforms.noiseScale.value = config.noiseScale;
+    uniforms.coverage.value = config.coverage;
+    uniforms.speed.value = config.speed;
+    if (uniforms.tint) {
+      uniforms.tint.value.set(config.tint);
+    }
+  }
+
+  // Trade detail for speed: fewer noise octaves, and only the farthest
+  // layerCount layers drawn
+  setDetail(octaves, layerCount) {
+    this.layers.forEach(({ mesh, material }, i) => {
+      material.uniforms.octaves.value = octaves;
+      mesh.visible = i < layerCount;
+    });
+    this.fog.material.uniforms.octaves.value = Math.max(1, octaves - 1);
+  }
+
+  // Sky behind the clouds, the clouds themselves and the fog sheet
+  setColors(skyColor, cloudColor, fogColor, cloudOpacity) {
+    for (const { material } of this.layers) {
+      material.uniforms.skyColor.value.copy(skyColor);
+      material.uniforms.cloudColor.value.copy(cloudColor);
+      material.uniforms.cloudOpacity.value = cloudOpacity;
+    }
+    this.fog.material.uniforms.fogColor.value.copy(fogColor);
+  }
+
+  // Advance every layer's drift and pick up config edits
+  update(delta) {
+    for (const layer of [...this.layers, this.fog]) {
+      layer.material.uniforms.time.value += delta;
+      this.applyConfig(layer);
+    }
+  }
+
+  dispose() {
+    this.geometry.dispose();
+    for (const { material } of [...this.layers, this.fog]) {
+      material.dispose();
+    }
+  }
+}
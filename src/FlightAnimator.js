@@ -0,0 +1,121 @@
+import Random from "./simulation/Random.js";
+
+// Picks what a bird's wings are doing from how it is flying. Each state names
+// the clip it would like from the bird's model and how fast to play it; a
+// species can map states to its own clip names, and states it leaves out
+// play the model's first clip, told apart by playback speed alone.
+//
+// Switching to a different clip cross-fades from the old one; switching
+// between states that share a clip only eases the playback speed, since
+// blending two phases of one flap looks like neither.
+
+// Playback speed of each state, relative to the clip's own
+export const FLIGHT_STATES = {
+  cruise: { timeScale: 1 },
+  climb: { timeScale: 1.4 },
+  glide: { timeScale: 0.1 },
+  turn: { timeScale: 1.2 },
+  // Slow birds beat hard to stay aloft
+  labor: { timeScale: 1.6 },
+};
+
+// When each state applies, and how quickly birds move between them, editable
+// live from the tuning panel
+export const ANIMATION_STYLE = {
+  // Vertical part of the direction of travel above which birds climb
+  climbPitch: 0.3,
+  // ...and below which birds fast enough glide
+  glidePitch: -0.2,
+  // Fractions of top speed: gliding needs at least glideSpeed, below
+  // laborSpeed birds labor
+  glideSpeed: 0.6,
+  laborSpeed: 0.4,
+  // Roll, in radians, above which birds flap through a turn
+  turnBank: 0.35,
+  // Shortest time spent in a state, so noisy flight doesn't flicker
+  minStateTime: 0.5,
+  // Seconds taken to cross-fade clips, and the rate playback speed eases at
+  fadeTime: 0.35,
+  rateSmoothing: 4,
+  // Each bird plays up to this fraction faster or slower than its flockmates
+  rateJitter: 0.1,
+};
+
+export default class FlightAnimator {
+  // id keys the bird's own start point and speed, so they come out the same
+  // every run
+  constructor(species, style = ANIMATION_STYLE, id = 0) {
+    this.species = species;
+    this.style = style;
+    this.state = "cruise";
+    this.stateTime = 0;
+
+    // Where in its clip each bird starts, and its own speed, so birds in a
+    // flock don't flap in lockstep
+    const random = new Random(id);
+    this.offset = random.next();
+    this.jitter = 1 + random.spread(2) * style.rateJitter;
+
+    // Clip playing now, and the one fading out (or null); time is in seconds
+    // of clip playback
+    this.current = { clip: this.getClip("cruise"), time: 0, timeScale: 1 };
+    this.previous = null;
+    this.fade = 1;
+  }
+
+  // The species' clip name for a state, or null for the model's first clip
+  getClip(state) {
+    const clips = this.species.clips;
+    return (clips && clips[state]) || null;
+  }
+
+  // speed and maxSpeed in world units, pitch the vertical part of the unit
+  // direction of travel, bank the current roll and rate a further multiplier
+  // on playback speed
+  update(delta, { speed, maxSpeed, pitch, bank, rate = 1 }) {
+    const style = this.style;
+
+    this.stateTime += delta;
+    const state = this.chooseState(speed, maxSpeed, pitch, bank);
+    if (state !== this.state && this.stateTime >= style.minStateTime) {
+      this.enter(state);
+    }
+
+    const current = this.current;
+    const targetScale = FLIGHT_STATES[this.state].timeScale * this.jitter;
+    current.timeScale +=
+      (targetScale - current.timeScale) *
+      Math.min(1, style.rateSmoothing * delta);
+    current.time += delta * current.timeScale * rate;
+
+    if (this.previous) {
+      this.previous.time += delta * this.previous.timeScale * rate;
+      this.fade = Math.min(1, this.fade + delta / style.fadeTime);
+      if (this.fade === 1) {
+        this.previous = null;
+      }
+    }
+  }
+
+  chooseState(speed, maxSpeed, pitch, bank) {
+    const style = this.style;
+    if (pitch < style.glidePitch && speed >= maxSpeed * style.glideSpeed) {
+      return "glide";
+    }
+    if (pitch > style.climbPitch) return "climb";
+    if (speed < maxSpeed * style.laborSpeed) return "labor";
+    if (Math.abs(bank) > style.turnBank) return "turn";
+    return "cruise";
+  }
+
+  enter(state) {
+    const clip = this.getClip(state);
+    if (clip !== this.current.clip) {
+      this.previous = this.current;
+      this.current = { clip, time: 0, timeScale: this.previous.timeScale };
+      this.fade = 0;
+    }
+    this.state = state;
+    this.stateTime = 0;
+  }
+}
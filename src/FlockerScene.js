@@ -0,0 +1,1409 @@
+import {
+  Scene,
+  PerspectiveCamera,
+  WebGLRenderer,
+  DirectionalLight,
+  HemisphereLight,
+  Clock,
+  Fog,
+  CanvasTexture,
+  MeshStandardMaterial,
+} from "THREE";
+import OrbitControls from "three-orbitcontrols";
+import Emitter from "./simulation/Emitter.js";
+import Simulation from "./simulation/Simulation.js";
+import WorkerSimulation from "./WorkerSimulation.js";
+import SimulationView from "./SimulationView.js";
+import ModelLoader from "./ModelLoader.js";
+import LoadingScreen from "./LoadingScreen.js";
+import GPUFlocking, { compareWithSimulation } from "./GPUFlocking.js";
+import GPUBirds from "./GPUBirds.js";
+import TuningPanel from "./TuningPanel.js";
+import TimeOfDay from "./TimeOfDay.js";
+import CloudLayers from "./CloudLayers.js";
+import BirdInspector from "./BirdInspector.js";
+import SteeringControls, {
+  STEERING_MODES,
+  STEERING_SETTINGS,
+} from "./SteeringControls.js";
+import CameraDirector, { CAMERA_MODES } from "./CameraDirector.js";
+import { Recorder, parseRecording } from "./Recorder.js";
+import FrameCapture, {
+  CAPTURE_FORMATS,
+  CAPTURE_SETTINGS,
+} from "./FrameCapture.js";
+import QualityGovernor, {
+  GOVERNOR_SETTINGS,
+  QUALITY_MODES,
+  QUALITY_TIERS,
+} from "./QualityGovernor.js";
+import StatsOverlay from "./StatsOverlay.js";
+import { BOUNDARY_MODES } from "./simulation/boundaries.js";
+import { createSceneObstacles } from "./sceneObstacles.js";
+import {
+  createSceneSettings,
+  planFlocks,
+  resolveSceneConfig,
+} from "./sceneConfig.js";
+
+// One flocking view mounted in a container element: its own renderer,
+// camera, simulation, sky and tuning panel, so a page can hold several and
+// tear any of them down. Nothing runs until start(); the first start()
+// spawns the scene's flocks.
+//
+//   const flocker = new FlockerScene(element, { scene: { seed: 3 } });
+//   flocker.on("flockAdded", (flock) => ...).start();
+//
+// Events:
+//   progress ({ fraction, loaded, total }), as bird models load
+//   loaded (), once every model asked for so far has loaded or failed
+//   error (ModelLoadError), when a model fails and is drawn as a placeholder
+//   flockAdded (flock), flockRemoved (flock)
+//   captureProgress ({ frame, total }), after each exported frame
+
+// Construction options
+export const FLOCKER_OPTIONS = {
+  // Scene config, as described in sceneConfig.js
+  scene: {},
+  // Overrides the scene's seed when set
+  seed: null,
+  // Step the simulation in a Web Worker where the browser has them
+  worker: true,
+  // Fly this many birds on the GPU instead, when above 0 and supported; tens
+  // of thousands are fine (see GPUFlocking.js)
+  gpu: 0,
+  // Overrides the scene's starting camera mode when set
+  camera: null,
+  // Show the tuning panel
+  panel: true,
+  // "auto" to adapt quality to hold the frame rate, or the name of one of
+  // QUALITY_TIERS to stay on
+  quality: "auto",
+  // Show frame rate and quality tier in a corner
+  stats: true,
+};
+
+// The flock simulation advances in fixed steps, independent of frame rate
+const SIMULATION_STEP = 1 / 60;
+// Cap on steps per frame so a long stall doesn't snowball into more work
+const MAX_STEPS_PER_FRAME = 5;
+
+export default class FlockerScene extends Emitter {
+  constructor(container, options = {}) {
+    super();
+    this.container = container;
+    this.options = { ...FLOCKER_OPTIONS, ...options };
+    container.classList.add("flocker-scene");
+
+    // The scene being shown, and the flocks it starts with, in spawn order.
+    // Throws a SceneConfigError if options.scene doesn't validate.
+    this.config = resolveSceneConfig(
+      this.options.scene,
+      "passed to FlockerScene"
+    );
+
+    // Fog range, cloud opacity and light strength, editable live from the
+    // tuning panel. Colors come from the time of day, which also widens or
+    // narrows the fog range.
+    const { fogNear, fogFar, cloudOpacity, lightIntensity } =
+      this.config.environment;
+    this.environment = { fogNear, fogFar, cloudOpacity, lightIntensity };
+
+    // Tier of render and animation detail in use, stepped down and back up
+    // to hold the frame rate. Throws if options.quality names no tier.
+    this.qualityGovernor = new QualityGovernor({
+      ...GOVERNOR_SETTINGS,
+      mode: this.options.quality,
+    });
+
+    this.clock = new Clock(false);
+    this.running = false;
+    this.spawned = false;
+    // Simulated time not yet consumed by fixed steps
+    this.simulationAccumulator = 0;
+
+    // Active recording, and the recording being played back instead of
+    // simulating
+    this.recorder = null;
+    this.replay = null;
+
+    // Frame export settings, and the export running, if any (see
+    // startCapture)
+    this.captureSettings = { ...CAPTURE_SETTINGS };
+    this.capture = null;
+
+    // Birds flown on the GPU instead, when options.gpu asks for them, and
+    // one instanced mesh per species drawing them
+    this.gpuFlocking = null;
+    this.gpuBirdRenderers = new Map();
+    this.loadedGPUBirdRenderers = [];
+    // Set by dispose(), for models still loading to find
+    this.disposed = false;
+
+    // Bird models load through one loader, which reports progress to the
+    // loading screen and to listeners
+    this.modelLoader = new ModelLoader()
+      .on("progress", (progress) => this.emit("progress", progress))
+      .on("loaded", () => this.emit("loaded"))
+      .on("error", (error) => this.emit("error", error));
+    this.loadingScreen = new LoadingScreen(container, this.modelLoader);
+
+    this.scene = new Scene();
+    // Fog colored and ranged by applyEnvironment()
+    this.scene.fog = new Fog(
+      0x000000,
+      this.environment.fogNear,
+      this.environment.fogFar
+    );
+
+    // Sun, sky and fog follow the time of day
+    this.timeOfDay = new TimeOfDay({ ...this.config.environment.timeOfDay });
+
+    this.createCamera();
+    this.createLights();
+    this.createClouds();
+    this.simulation = this.createSimulation(this.createObstacles());
+    this.flockPlan = planFlocks(this.config, this.simulation.settings.boundary);
+    this.simulationView = new SimulationView(
+      this.simulation,
+      this.scene,
+      this.modelLoader
+    );
+    this.simulation
+      .on("step", () => this.captureStep())
+      .on("flockAdded", (flock) => this.emit("flockAdded", flock))
+      .on("flockRemoved", (flock) => this.emit("flockRemoved", flock))
+      // A failed worker leaves an empty in-thread simulation in its place;
+      // a replay carries on by itself, anything else starts over
+      .on("fallback", () => {
+        if (this.spawned && !this.replay) this.restart();
+      });
+    this.createRenderer();
+    this.applyEnvironment();
+    this.createGPUFlocking();
+    this.applyQuality(this.qualityGovernor.tier);
+    this.qualityGovernor.on("change", (tier) => this.applyQuality(tier));
+    this.createControls();
+    if (this.options.panel) {
+      this.createTuningPanel();
+    }
+    if (this.options.stats) {
+      this.createStatsOverlay();
+    }
+
+    // An export keeps its own frame size until it's done
+    this.onWindowResize = () => {
+      if (!this.capture) this.resize();
+    };
+    window.addEventListener("resize", this.onWindowResize, false);
+  }
+
+  get flocks() {
+    return this.simulation.flocks;
+  }
+
+  // Run the animation loop, spawning the scene's flocks the first time
+  // Ignored while an export runs; the loop picks up again once it's done
+  start() {
+    if (this.running || this.capture) return this;
+
+    this.spawn();
+
+    this.running = true;
+    this.clock.start();
+    this.renderer.setAnimationLoop(() => {
+      this.update();
+      this.render();
+    });
+    return this;
+  }
+
+  // The scene's flocks and predators, the first time only
+  spawn() {
+    if (this.spawned) return;
+    this.spawned = true;
+    this.createFlocks();
+    this.createPredators();
+  }
+
+  // Stop the loop where it is; start() picks up from here
+  pause() {
+    this.running = false;
+    this.clock.stop();
+    this.renderer.setAnimationLoop(null);
+    return this;
+  }
+
+  // Stop for good, freeing GPU resources, the worker, DOM elements and
+  // listeners
+  dispose() {
+    this.disposed = true;
+    this.pause();
+    this.stopRecording();
+    if (this.capture) {
+      this.capture.abort();
+      this.capture = null;
+    }
+    window.removeEventListener("resize", this.onWindowResize, false);
+
+    this.controls.dispose();
+    this.loadingScreen.dispose();
+    if (this.statsOverlay) {
+      this.statsOverlay.dispose();
+    }
+    this.birdInspector.dispose();
+    this.steeringControls.dispose();
+    this.simulationView.dispose();
+    if (this.tuningPanel) {
+      this.tuningPanel.dispose();
+    }
+    if (this.simulation.dispose) {
+      this.simulation.dispose();
+    }
+    if (this.gpuFlocking) {
+      this.gpuFlocking.dispose();
+    }
+
+    this.scene.traverse((object) => {
+      if (object.geometry) object.geometry.dispose();
+      if (object.material) {
+        const materials = Array.isArray(object.material)
+          ? object.material
+          : [object.material];
+        materials.forEach(disposeMaterial);
+      }
+    });
+    this.scene.background.dispose();
+
+    this.renderer.dispose();
+    this.renderer.forceContextLoss();
+    this.container.removeChild(this.renderer.domElement);
+    this.container.classList.remove("flocker-scene");
+    this.listeners.clear();
+  }
+
+  // Spawn a flock of birds of the given species ids, or the next flock in
+  // the scene's plan when none are given
+  addFlock(species, birds) {
+    const { flocks } = this.simulation;
+    const planned = this.flockPlan[flocks.length % this.flockPlan.length];
+    if (species) {
+      this.simulation.spawnFlock(species, birds || planned.birds);
+    } else {
+      this.spawnPlannedFlock(planned);
+    }
+  }
+
+  // Remove the given flock, or the newest
+  removeFlock(flock) {
+    const { flocks } = this.simulation;
+    if (!flock) {
+      flock = flocks[flocks.length - 1];
+    }
+    if (flock) {
+      this.simulation.removeFlock(flock);
+    }
+  }
+
+  addBird() {
+    const { flocks } = this.simulation;
+    if (flocks.length === 0) {
+      this.addFlock();
+      return;
+    }
+
+    // New birds join the smallest flock
+    const smallest = flocks.reduce((a, b) =>
+      b.birds.length < a.birds.length ? b : a
+    );
+    this.simulation.spawnBirds(smallest, 1);
+  }
+
+  removeBird() {
+    const { flocks } = this.simulation;
+    if (flocks.length === 0) return;
+
+    // Birds leave the largest flock
+    const largest = flocks.reduce((a, b) =>
+      b.birds.length > a.birds.length ? b : a
+    );
+    const bird = largest.birds[largest.birds.length - 1];
+    if (!bird) return;
+
+    // The last bird takes its flock with it
+    if (largest.birds.length === 1) {
+      this.simulation.removeFlock(largest);
+    } else {
+      this.simulation.removeBird(bird);
+    }
+  }
+
+  // Change any of the flocking parameters (see simulation/settings.js)
+  setParams(values) {
+    const { params } = this.simulation.settings;
+    for (const [key, value] of Object.entries(values)) {
+      if (!(key in params)) {
+        throw new Error(`Unknown flocking parameter "${key}"`);
+      }
+      params[key] = value;
+    }
+    if (this.tuningPanel) {
+      this.tuningPanel.refreshSection("flocking");
+    }
+  }
+
+  // Start the world over from the current seed
+  restart() {
+    this.stopReplay();
+    this.simulation.reset();
+    this.simulationAccumulator = 0;
+    this.createFlocks();
+    this.createPredators();
+  }
+
+  createCamera() {
+    const { fov, position } = this.config.camera;
+    const aspect = this.container.clientWidth / this.container.clientHeight;
+    const near = 0.1;
+    const far = 1000;
+    this.camera = new PerspectiveCamera(fov, aspect, near, far);
+    this.camera.position.fromArray(position);
+  }
+
+  // The sky is a vertical gradient painted into a canvas, repainted by
+  // applyEnvironment() as the time of day changes
+  createGradientBackground() {
+    this.skyCanvas = document.createElement("canvas");
+    this.skyCanvas.width = 2;
+    this.skyCanvas.height = 256;
+    this.scene.background = new CanvasTexture(this.skyCanvas);
+  }
+
+  paintSky(top, bottom) {
+    const canvas = this.skyCanvas;
+    const context = canvas.getContext("2d");
+    const gradient = context.createLinearGradient(0, 0, 0, canvas.height);
+    gradient.addColorStop(0, `#${top.getHexString()}`);
+    gradient.addColorStop(1, `#${bottom.getHexString()}`);
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    this.scene.background.needsUpdate = true;
+  }
+
+  // Colors, intensities and the sun's direction are set by applyEnvironment()
+  createLights() {
+    // The sun by day and the moon by night
+    const sun = new DirectionalLight();
+
+    const hemisphere = new HemisphereLight();
+
+    // Add a subtle backlight to highlight bird silhouettes
+    const rim = new DirectionalLight();
+    rim.position.set(-5, 3, -10);
+
+    // Add a subtle fill light from below for more dramatic effect
+    const fill = new DirectionalLight();
+    fill.position.set(0, -5, 5);
+
+    this.lights = { sun, hemisphere, rim, fill };
+    this.scene.add(sun, hemisphere, rim, fill);
+  }
+
+  // Cloud layers behind the flocks and the fog sheet in front of them
+  createClouds() {
+    this.cloudLayers = new CloudLayers(
+      this.config.environment.clouds.map((layer) => ({ ...layer }))
+    );
+    this.scene.add(this.cloudLayers.group);
+  }
+
+  createFlocks() {
+    if (this.gpuFlocking) {
+      this.createGPUFlocks();
+      return;
+    }
+
+    this.flockPlan.forEach((planned) => this.spawnPlannedFlock(planned));
+  }
+
+  spawnPlannedFlock({ species, birds, boundary, region }) {
+    this.simulation.spawnFlock(species, birds, boundary, region);
+  }
+
+  // Flocks, predators and obstacles are stepped independently of rendering,
+  // and mirrored into the scene by a SimulationView. Worker stepping keeps
+  // large flocks from stalling rendering and camera input.
+  createSimulation(obstacles) {
+    const { seed: seedOption, worker: useWorker } = this.options;
+    const seed = Number.isInteger(seedOption) ? seedOption : this.config.seed;
+    const settings = createSceneSettings(this.config);
+    if (typeof Worker !== "undefined" && useWorker) {
+      try {
+        const worker = new Worker("./simulationWorker.js");
+        return new WorkerSimulation(worker, { seed, settings, obstacles });
+      } catch (error) {
+        console.warn("Falling back to main-thread flock simulation:", error);
+      }
+    }
+    return new Simulation({ seed, settings, obstacles });
+  }
+
+  createObstacles() {
+    const material = new MeshStandardMaterial({
+      color: 0x37306b,
+      flatShading: true,
+    });
+
+    const obstacles = createSceneObstacles(material);
+    obstacles.forEach((obstacle) =>
+      this.scene.add(obstacle.createMesh(material))
+    );
+    return obstacles;
+  }
+
+  createGPUFlocking() {
+    const count = this.options.gpu;
+    if (!(count > 0)) return;
+
+    if (!GPUFlocking.isSupported(this.renderer)) {
+      console.warn(
+        "No float render target support; flying the birds on the CPU"
+      );
+      return;
+    }
+    const flockCount = this.flockPlan.length;
+    this.gpuFlocking = new GPUFlocking(
+      this.renderer,
+      Math.ceil(count / flockCount) * flockCount,
+      this.simulation.settings
+    );
+  }
+
+  // A headless simulation with the GPU's rules, spawned from the current
+  // seed, so either path starts a seed off the same way. birdsPerFlock, if
+  // given, overrides the planned flock sizes.
+  createReferenceSimulation(birdsPerFlock) {
+    const settings = JSON.parse(JSON.stringify(this.simulation.settings));
+    settings.interFlock.merge = false;
+    settings.interFlock.split = false;
+
+    const reference = new Simulation({ seed: this.simulation.seed, settings });
+    this.flockPlan.forEach(({ species, birds, boundary, region }) =>
+      reference.spawnFlock(species, birdsPerFlock || birds, boundary, region)
+    );
+    return reference;
+  }
+
+  createGPUFlocks() {
+    const birdsPerFlock = this.gpuFlocking.capacity / this.flockPlan.length;
+    const birds = this.createReferenceSimulation(birdsPerFlock).getAllBirds();
+    this.gpuFlocking.seed(birds);
+
+    // Each species' mesh draws the texels holding that species' birds
+    const indices = new Map();
+    birds.forEach((bird, i) => {
+      if (!indices.has(bird.species)) {
+        indices.set(bird.species, []);
+      }
+      indices.get(bird.species).push(i);
+    });
+    indices.forEach((speciesIndices, species) =>
+      this.getGPUBirdRenderer(species).then(
+        (birdRenderer) =>
+          birdRenderer && birdRenderer.setInstances(speciesIndices)
+      )
+    );
+  }
+
+  // Resolves to null for models that load after dispose()
+  getGPUBirdRenderer(species) {
+    if (!this.gpuBirdRenderers.has(species)) {
+      const promise = this.modelLoader
+        .load(species.model)
+        .then(({ mesh, animations }) => {
+          if (this.disposed) return null;
+
+          const birdRenderer = new GPUBirds(
+            mesh,
+            animations,
+            species,
+            this.gpuFlocking
+          );
+          birdRenderer.setLodDistance(this.quality.lodDistance);
+          this.scene.add(birdRenderer.mesh);
+          this.loadedGPUBirdRenderers.push(birdRenderer);
+          return birdRenderer;
+        });
+      this.gpuBirdRenderers.set(species, promise);
+    }
+
+    return this.gpuBirdRenderers.get(species);
+  }
+
+  // Step the default flocks a second on the CPU and the GPU from the same
+  // start and log how far apart they end up
+  checkGPUFlocking() {
+    if (!GPUFlocking.isSupported(this.renderer)) {
+      console.warn("No float render target support; nothing to check");
+      return;
+    }
+
+    const result = compareWithSimulation(
+      this.renderer,
+      this.createReferenceSimulation(),
+      60,
+      SIMULATION_STEP
+    );
+    console.info(
+      `GPU vs CPU after ${result.steps} steps of ${result.birds} birds: ` +
+        `position error ${result.positionError.toFixed(4)}, ` +
+        `velocity error ${result.velocityError.toFixed(4)}`
+    );
+  }
+
+  createPredators() {
+    for (let i = 0; i < this.simulation.settings.predator.count; i++) {
+      this.simulation.addPredator();
+    }
+  }
+
+  createRenderer() {
+    const { container } = this;
+    // Multisampling can't be turned on or off later, so the starting tier
+    // decides it for good
+    this.renderer = new WebGLRenderer({
+      antialias: this.qualityGovernor.tier.antialias,
+    });
+    this.renderer.setSize(container.clientWidth, container.clientHeight);
+    this.renderer.gammaFactor = 2.2;
+    this.renderer.gammaOutput = true;
+    this.renderer.physicallyCorrectLights = true;
+
+    container.appendChild(this.renderer.domElement);
+
+    // Create gradient background after renderer is initialized
+    this.createGradientBackground();
+  }
+
+  createStatsOverlay() {
+    this.statsOverlay = new StatsOverlay(
+      this.container,
+      this.qualityGovernor,
+      () => {
+        const stats = {
+          Birds: this.simulation.getAllBirds().length,
+          "Pixel ratio": this.renderer.getPixelRatio(),
+        };
+        if (this.gpuFlocking) {
+          stats["GPU birds"] = this.gpuFlocking.count;
+        }
+        return stats;
+      }
+    );
+  }
+
+  // Device pixel ratio, capped by the quality tier
+  getPixelRatio() {
+    return Math.min(window.devicePixelRatio, this.quality.pixelRatio);
+  }
+
+  // Set resolution, cloud detail and bird detail to a quality tier
+  applyQuality(tier) {
+    this.quality = tier;
+    this.renderer.setPixelRatio(this.getPixelRatio());
+    this.cloudLayers.setDetail(tier.octaves, tier.cloudLayers);
+
+    const { lodDistance, distantFlockDistance, distantFlockInterval } = tier;
+    this.simulationView.setDetail({
+      lodDistance,
+      distantFlockDistance,
+      distantFlockInterval,
+    });
+    this.loadedGPUBirdRenderers.forEach((birdRenderer) =>
+      birdRenderer.setLodDistance(lodDistance)
+    );
+  }
+
+  createTuningPanel() {
+    const tuningPanel = new TuningPanel(this.container);
+    this.tuningPanel = tuningPanel;
+
+    const {
+      simulation,
+      simulationView,
+      cameraDirector,
+      steeringControls,
+      birdInspector,
+    } = this;
+    const { settings } = simulation;
+    const applyEnvironment = () => this.applyEnvironment();
+
+    tuningPanel.addSection("flocking", "Flocking", settings.params, [
+      {
+        key: "separationDistance",
+        label: "Separation distance",
+        min: 0,
+        max: 20,
+        step: 0.5,
+      },
+      {
+        key: "cohesionDistance",
+        label: "Cohesion distance",
+        min: 0,
+        max: 50,
+        step: 0.5,
+      },
+      {
+        key: "alignmentDistance",
+        label: "Alignment distance",
+        min: 0,
+        max: 50,
+        step: 0.5,
+      },
+      {
+        key: "separationForce",
+        label: "Separation force",
+        min: 0,
+        max: 5000,
+        step: 50,
+      },
+      {
+        key: "cohesionForce",
+        label: "Cohesion force",
+        min: 0,
+        max: 5,
+        step: 0.05,
+      },
+      {
+        key: "alignmentForce",
+        label: "Alignment force",
+        min: 0,
+        max: 20,
+        step: 0.1,
+      },
+      { key: "maxSpeed", label: "Max speed", min: 1, max: 40, step: 0.5 },
+      { key: "worldSize", label: "World size", min: 10, max: 200, step: 1 },
+      { key: "turnFactor", label: "Turn factor", min: 0, max: 1000, step: 10 },
+    ]);
+
+    tuningPanel.addSection(
+      "environment",
+      "Environment",
+      this.environment,
+      [
+        { key: "fogNear", label: "Fog near", min: 0, max: 200, step: 1 },
+        { key: "fogFar", label: "Fog far", min: 10, max: 500, step: 1 },
+        {
+          key: "cloudOpacity",
+          label: "Cloud opacity",
+          min: 0,
+          max: 1,
+          step: 0.01,
+        },
+        {
+          key: "lightIntensity",
+          label: "Light intensity",
+          min: 0,
+          max: 3,
+          step: 0.05,
+        },
+      ],
+      applyEnvironment
+    );
+
+    // Layers pick up edits on the next update
+    this.cloudLayers.layers.forEach(({ config }, i) => {
+      tuningPanel.addSection(`clouds${i}`, `Cloud layer ${i + 1}`, config, [
+        { key: "depth", label: "Depth", min: 20, max: 300, step: 1 },
+        { key: "size", label: "Size", min: 0.1, max: 2, step: 0.05 },
+        {
+          key: "noiseScale",
+          label: "Noise scale",
+          min: 0.5,
+          max: 5,
+          step: 0.1,
+        },
+        { key: "coverage", label: "Coverage", min: 0, max: 0.9, step: 0.01 },
+        { key: "speed", label: "Drift speed", min: 0, max: 10, step: 0.1 },
+        { key: "tint", label: "Tint", type: "color" },
+      ]);
+    });
+
+    tuningPanel.addSection(
+      "quality",
+      "Quality",
+      this.qualityGovernor.settings,
+      [
+        { key: "mode", label: "Mode", type: "select", options: QUALITY_MODES },
+        { key: "targetFps", label: "Target FPS", min: 20, max: 120, step: 1 },
+      ],
+      (key) => {
+        if (key === "mode") {
+          this.qualityGovernor.applyMode();
+        }
+      }
+    );
+
+    tuningPanel.addSection(
+      "timeOfDay",
+      "Time of day",
+      this.timeOfDay.settings,
+      [
+        { key: "time", label: "Time (h)", min: 0, max: 24, step: 0.05 },
+        {
+          key: "speed",
+          label: "Hours per second",
+          min: 0,
+          max: 2,
+          step: 0.01,
+        },
+      ],
+      applyEnvironment
+    );
+
+    tuningPanel.addSection("predators", "Predators", settings.predator, [
+      { key: "maxSpeed", label: "Predator speed", min: 1, max: 40, step: 0.5 },
+      { key: "fearRadius", label: "Fear radius", min: 0, max: 60, step: 1 },
+      { key: "fleeForce", label: "Flee force", min: 0, max: 2000, step: 10 },
+      {
+        key: "panicSpeedBoost",
+        label: "Panic boost",
+        min: 1,
+        max: 3,
+        step: 0.1,
+      },
+    ]);
+
+    tuningPanel.addSection("flight", "Flight", simulationView.flight, [
+      { key: "maxTurnRate", label: "Turn rate", min: 0.5, max: 20, step: 0.5 },
+      {
+        key: "bankFactor",
+        label: "Bank factor",
+        min: 0,
+        max: 0.1,
+        step: 0.005,
+      },
+      { key: "maxBank", label: "Max bank", min: 0, max: 1.5, step: 0.05 },
+      {
+        key: "bankSmoothing",
+        label: "Bank smoothing",
+        min: 0.5,
+        max: 20,
+        step: 0.5,
+      },
+      {
+        key: "climbFlapBoost",
+        label: "Climb flap boost",
+        min: 0,
+        max: 2,
+        step: 0.05,
+      },
+      {
+        key: "diveFlapCut",
+        label: "Dive flap cut",
+        min: 0,
+        max: 1,
+        step: 0.05,
+      },
+    ]);
+
+    tuningPanel.addSection("animation", "Wingbeats", simulationView.animation, [
+      { key: "climbPitch", label: "Climb pitch", min: 0, max: 1, step: 0.05 },
+      { key: "glidePitch", label: "Glide pitch", min: -1, max: 0, step: 0.05 },
+      { key: "glideSpeed", label: "Glide speed", min: 0, max: 1, step: 0.05 },
+      { key: "laborSpeed", label: "Labor speed", min: 0, max: 1, step: 0.05 },
+      { key: "turnBank", label: "Turn bank", min: 0, max: 1.5, step: 0.05 },
+      {
+        key: "minStateTime",
+        label: "Min state time",
+        min: 0,
+        max: 3,
+        step: 0.1,
+      },
+      {
+        key: "fadeTime",
+        label: "Cross-fade (s)",
+        min: 0.05,
+        max: 2,
+        step: 0.05,
+      },
+    ]);
+
+    tuningPanel.addSection(
+      "camera",
+      "Camera",
+      cameraDirector.settings,
+      [
+        { key: "mode", label: "Mode", type: "select", options: CAMERA_MODES },
+        {
+          key: "flock",
+          label: "Flock",
+          min: 0,
+          max: this.flockPlan.length - 1,
+          step: 1,
+        },
+        { key: "blendTime", label: "Blend (s)", min: 0.1, max: 5, step: 0.1 },
+        {
+          key: "followDistance",
+          label: "Follow distance",
+          min: 5,
+          max: 150,
+          step: 1,
+        },
+        {
+          key: "chaseDistance",
+          label: "Chase distance",
+          min: 1,
+          max: 40,
+          step: 0.5,
+        },
+        {
+          key: "chaseHeight",
+          label: "Chase height",
+          min: 0,
+          max: 20,
+          step: 0.5,
+        },
+        {
+          key: "frameMargin",
+          label: "Frame margin",
+          min: 1,
+          max: 3,
+          step: 0.05,
+        },
+        {
+          key: "flythroughDuration",
+          label: "Flythrough (s)",
+          min: 5,
+          max: 120,
+          step: 1,
+        },
+        { key: "smoothing", label: "Smoothing", min: 0.5, max: 10, step: 0.5 },
+      ],
+      (key, value) => {
+        if (key === "mode") {
+          cameraDirector.setMode(value);
+        }
+      }
+    );
+    // The director also switches on its own, back to orbit
+    cameraDirector.on("modeChanged", () =>
+      tuningPanel.refreshSection("camera")
+    );
+
+    tuningPanel.addSection("boundary", "Boundary", settings.boundary, [
+      {
+        key: "mode",
+        label: "Mode",
+        type: "select",
+        options: Object.keys(BOUNDARY_MODES),
+      },
+      { key: "margin", label: "Soft margin", min: 0, max: 40, step: 1 },
+      { key: "height", label: "Cylinder height", min: 5, max: 100, step: 1 },
+    ]);
+
+    // Where the attractor boundary pulls flocks toward
+    tuningPanel.addSection(
+      "boundaryHome",
+      "Attractor home",
+      settings.boundary.home,
+      ["x", "y", "z"].map((key) => ({
+        key,
+        label: key.toUpperCase(),
+        min: -200,
+        max: 200,
+        step: 1,
+      }))
+    );
+
+    tuningPanel.addSection(
+      "obstacles",
+      "Obstacles",
+      settings.obstacleAvoidance,
+      [
+        {
+          key: "lookAheadTime",
+          label: "Look ahead (s)",
+          min: 0,
+          max: 4,
+          step: 0.1,
+        },
+        { key: "clearance", label: "Clearance", min: 0, max: 20, step: 0.5 },
+        { key: "force", label: "Avoid force", min: 0, max: 1500, step: 10 },
+      ]
+    );
+
+    tuningPanel.addActions("Flocks", [
+      { label: "Add flock", onClick: () => this.addFlock() },
+      { label: "Remove flock", onClick: () => this.removeFlock() },
+      { label: "Add bird", onClick: () => this.addBird() },
+      { label: "Remove bird", onClick: () => this.removeBird() },
+      { label: "Add predator", onClick: () => simulation.addPredator() },
+      { label: "Remove predator", onClick: () => simulation.removePredator() },
+    ]);
+
+    tuningPanel.addSection(
+      "steering",
+      "Steering",
+      steeringControls.settings,
+      [
+        { key: "mode", label: "Mode", type: "select", options: STEERING_MODES },
+        { key: "radius", label: "Field radius", min: 5, max: 80, step: 1 },
+        {
+          key: "strength",
+          label: "Field strength",
+          min: 0,
+          max: 3000,
+          step: 50,
+        },
+        {
+          key: "flock",
+          label: "Waypoint flock",
+          min: 0,
+          max: this.flockPlan.length - 1,
+          step: 1,
+        },
+      ],
+      (key, value) => {
+        if (key === "mode") {
+          steeringControls.setMode(value);
+          birdInspector.enabled = value === "off";
+        }
+      }
+    );
+
+    tuningPanel.addSection("waypoints", "Path following", settings.waypoints, [
+      { key: "force", label: "Path force", min: 0, max: 10, step: 0.1 },
+      {
+        key: "arrivalRadius",
+        label: "Arrival radius",
+        min: 1,
+        max: 30,
+        step: 0.5,
+      },
+    ]);
+
+    tuningPanel.addActions("Waypoints", [
+      {
+        label: "Clear flock's path",
+        onClick: () => steeringControls.clearWaypoints(),
+      },
+      {
+        label: "Clear all paths",
+        onClick: () => steeringControls.clearAllWaypoints(),
+      },
+    ]);
+
+    tuningPanel.addActions("Inspector", [
+      {
+        label: "Toggle debug gizmos",
+        onClick: () =>
+          birdInspector.setGizmosVisible(!birdInspector.gizmosVisible),
+      },
+      { label: "Deselect", onClick: () => birdInspector.select(null) },
+    ]);
+
+    tuningPanel.addActions(`Replay (seed ${simulation.seed})`, [
+      { label: "Restart", onClick: () => this.restart() },
+      { label: "Start recording", onClick: () => this.startRecording() },
+      { label: "Stop and save", onClick: () => this.stopRecording() },
+      { label: "Play recording", onClick: () => this.loadReplay() },
+      { label: "Stop playback", onClick: () => this.stopReplay() },
+      {
+        label: "Check GPU against CPU",
+        onClick: () => this.checkGPUFlocking(),
+      },
+    ]);
+
+    tuningPanel.addSection("capture", "Export", this.captureSettings, [
+      {
+        key: "format",
+        label: "Format",
+        type: "select",
+        options: CAPTURE_FORMATS,
+      },
+      { key: "width", label: "Width", min: 320, max: 7680, step: 16 },
+      { key: "height", label: "Height", min: 240, max: 4320, step: 16 },
+      { key: "fps", label: "Frames per second", min: 12, max: 60, step: 1 },
+      { key: "duration", label: "Duration (s)", min: 1, max: 120, step: 1 },
+    ]);
+
+    tuningPanel.addActions("Export", [
+      { label: "Start export", onClick: () => this.startCapture() },
+      { label: "Stop export", onClick: () => this.stopCapture() },
+    ]);
+
+    tuningPanel.addPresets();
+  }
+
+  // Push the time of day and environment settings to the sky, lights, fog
+  // and every cloud layer
+  applyEnvironment() {
+    const { lights, environment, scene } = this;
+    const sky = this.timeOfDay.getState();
+
+    this.paintSky(sky.skyTop, sky.skyBottom);
+
+    lights.sun.position.copy(sky.sunDirection).multiplyScalar(17);
+    lights.sun.color.copy(sky.sun);
+    lights.sun.intensity = sky.sunIntensity * environment.lightIntensity;
+    lights.hemisphere.color.copy(sky.hemisphereSky);
+    lights.hemisphere.groundColor.copy(sky.hemisphereGround);
+    lights.hemisphere.intensity =
+      sky.hemisphereIntensity * environment.lightIntensity;
+    lights.rim.color.copy(sky.rim);
+    lights.rim.intensity = sky.rimIntensity * environment.lightIntensity;
+    lights.fill.color.copy(sky.fill);
+    lights.fill.intensity = sky.fillIntensity * environment.lightIntensity;
+
+    scene.fog.color.copy(sky.fog);
+    scene.fog.near = environment.fogNear * sky.visibility;
+    scene.fog.far = environment.fogFar * sky.visibility;
+
+    this.cloudLayers.setColors(
+      sky.skyBottom,
+      sky.cloud,
+      sky.fog,
+      environment.cloudOpacity
+    );
+  }
+
+  createControls() {
+    const { camera, scene, simulation, simulationView } = this;
+    const { domElement } = this.renderer;
+    this.controls = new OrbitControls(camera, domElement);
+
+    // Camera settings are the scene's, less its lens and starting pose
+    const { fov, position, target, flythrough, ...settings } =
+      this.config.camera;
+    this.controls.target.fromArray(target);
+    this.controls.update();
+
+    const mode = this.options.camera;
+    this.cameraDirector = new CameraDirector(
+      camera,
+      this.controls,
+      simulationView,
+      {
+        ...settings,
+        mode: CAMERA_MODES.includes(mode) ? mode : settings.mode,
+      },
+      flythrough
+    );
+
+    // Click a bird to inspect it
+    this.birdInspector = new BirdInspector(
+      camera,
+      scene,
+      domElement,
+      simulationView,
+      this.container
+    );
+
+    // Drag to attract or repel birds, or click to lay waypoints
+    this.steeringControls = new SteeringControls(
+      camera,
+      domElement,
+      this.controls,
+      simulation,
+      scene,
+      { ...STEERING_SETTINGS }
+    );
+  }
+
+  update() {
+    const delta = this.clock.getDelta();
+    this.advanceSimulation(delta);
+    this.advanceScene(delta);
+    this.qualityGovernor.measure(delta);
+    if (this.statsOverlay) {
+      this.statsOverlay.update(delta);
+    }
+  }
+
+  advanceSimulation(delta) {
+    // Step bird flocks on a fixed timestep, carrying leftover time forward.
+    // While a worker is backlogged the time waits here for it instead.
+    this.simulationAccumulator = Math.min(
+      this.simulationAccumulator + delta,
+      SIMULATION_STEP * MAX_STEPS_PER_FRAME
+    );
+    while (
+      this.simulationAccumulator >= SIMULATION_STEP &&
+      !this.simulation.backlogged
+    ) {
+      if (this.replay) {
+        this.stepReplay();
+      } else {
+        this.stepSimulation(SIMULATION_STEP);
+      }
+      this.simulationAccumulator -= SIMULATION_STEP;
+    }
+  }
+
+  // Move birds, camera, sky and clouds on to match
+  advanceScene(delta) {
+    // Draw birds part way between the last two steps, and no further than
+    // the last while steps are held back
+    const alpha = Math.min(this.simulationAccumulator / SIMULATION_STEP, 1);
+    this.simulationView.interpolate(alpha);
+    this.cameraDirector.update(delta);
+    this.birdInspector.update(delta);
+    this.simulationView.update(delta, this.camera.position);
+    this.loadedGPUBirdRenderers.forEach((birdRenderer) =>
+      birdRenderer.update(delta)
+    );
+
+    // Let the day move on, if it's running
+    if (this.timeOfDay.settings.speed > 0) {
+      this.timeOfDay.update(delta);
+      this.applyEnvironment();
+      if (this.tuningPanel) {
+        this.tuningPanel.refreshSection("timeOfDay");
+      }
+    }
+
+    this.cloudLayers.update(delta);
+  }
+
+  stepSimulation(dt) {
+    // Distant flocks step as seldom as the view turns and flaps them
+    const { distantFlockDistance, distantFlockInterval } = this.quality;
+    this.simulation.setDistantFlocks(
+      this.camera.position,
+      distantFlockDistance,
+      distantFlockInterval
+    );
+    this.simulation.step(dt);
+    if (this.gpuFlocking) {
+      this.gpuFlocking.step(dt);
+    }
+  }
+
+  // With a worker, steps finish after the frame that asked for them
+  captureStep() {
+    if (this.recorder) {
+      this.recorder.capture(this.simulation.getAllBirds());
+    }
+  }
+
+  // Render settings.duration seconds of the scene at settings.width x
+  // settings.height and download them as a zip of PNGs or a WebM. The live
+  // loop stops meanwhile; every frame moves the scene on by exactly 1 / fps,
+  // however long it takes to draw. stopCapture() ends it early, keeping the
+  // frames so far.
+  startCapture(settings = this.captureSettings) {
+    if (this.capture) return;
+    if (!FrameCapture.isSupported(settings.format)) {
+      console.warn(`This browser can't export ${settings.format}`);
+      return;
+    }
+
+    const wasRunning = this.running;
+    this.pause();
+    this.spawn();
+    // Exports aren't in a hurry, so they get full detail
+    this.applyQuality(QUALITY_TIERS[0]);
+
+    // Drawing buffer only; the canvas keeps its size on the page. Sizes the
+    // GPU can't draw shrink to fit, keeping their shape.
+    const { maxTextureSize } = this.renderer.capabilities;
+    const fit = Math.min(
+      1,
+      maxTextureSize / settings.width,
+      maxTextureSize / settings.height
+    );
+    const width = Math.round(settings.width * fit);
+    const height = Math.round(settings.height * fit);
+    this.renderer.setPixelRatio(1);
+    this.renderer.setSize(width, height, false);
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+
+    const capture = new FrameCapture(this.renderer.domElement, {
+      ...settings,
+      width,
+      height,
+    });
+    this.capture = capture;
+    const delta = 1 / settings.fps;
+
+    const captureFrame = () => {
+      if (capture.aborted) return null;
+      if (capture.done || capture.stopped) {
+        return this.finishCapture(capture, wasRunning);
+      }
+
+      this.advanceSimulation(delta);
+      return this.whenSimulationIdle().then(() => {
+        // Aborted while the step was out with the worker
+        if (capture.aborted) return null;
+
+        this.advanceScene(delta);
+        this.render();
+        return capture.addFrame().then(() => {
+          this.emit("captureProgress", {
+            frame: capture.captured,
+            total: capture.frameCount,
+          });
+          return captureFrame();
+        });
+      });
+    };
+
+    // Start once every bird model is in, so none pop in mid-export
+    this.modelLoader
+      .whenLoaded()
+      .then(captureFrame)
+      .catch((error) => {
+        console.error("Frame export failed:", error);
+        capture.abort();
+        this.finishCapture(capture, wasRunning);
+      });
+  }
+
+  // End the running export early, keeping the frames so far
+  stopCapture() {
+    if (this.capture) {
+      this.capture.stopped = true;
+    }
+  }
+
+  // Put the page's frame size back, resume if the loop was running before,
+  // and download what was captured
+  finishCapture(capture, resume) {
+    this.capture = null;
+    this.applyQuality(this.qualityGovernor.tier);
+    this.resize();
+    if (resume) {
+      this.start();
+    }
+    if (capture.aborted || capture.captured === 0) return null;
+
+    const { format, fps } = capture.settings;
+    return capture.finish().then((blob) => {
+      const extension = format === "webm" ? "webm" : "zip";
+      download(
+        blob,
+        `flocks-seed-${this.simulation.seed}-${fps}fps.${extension}`
+      );
+    });
+  }
+
+  // With a worker, steps land a message later; wait for them so a frame
+  // shows the steps taken for it
+  whenSimulationIdle() {
+    return this.simulation.whenIdle
+      ? this.simulation.whenIdle()
+      : Promise.resolve();
+  }
+
+  startRecording() {
+    this.recorder = new Recorder({
+      step: SIMULATION_STEP,
+      seed: this.simulation.seed,
+      params: { ...this.simulation.settings.params },
+    });
+  }
+
+  stopRecording() {
+    if (!this.recorder) return;
+
+    const finished = this.recorder;
+    this.recorder = null;
+    finished
+      .finish()
+      .then((blob) =>
+        download(blob, `flocks-seed-${finished.header.seed}.flkr`)
+      );
+  }
+
+  loadReplay() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".flkr";
+    input.addEventListener("change", () => {
+      if (!input.files[0]) return;
+
+      parseRecording(input.files[0])
+        .then((recording) => this.startReplay(recording))
+        .catch((error) => {
+          console.error(
+            `Could not load recording "${input.files[0].name}":`,
+            error
+          );
+        });
+    });
+    input.click();
+  }
+
+  // Swap the live simulation for a recording; predators aren't recorded, so
+  // they sit the replay out
+  startReplay(recording) {
+    this.stopRecording();
+    this.simulation.clearFlocks();
+    this.simulationView.setPredatorsVisible(false);
+
+    this.replay = { ...recording, index: 0 };
+  }
+
+  // Hand the world as it stands back to the live simulation
+  stopReplay() {
+    if (!this.replay) return;
+
+    this.replay = null;
+    this.simulationView.setPredatorsVisible(true);
+  }
+
+  // Set every bird to its recorded state for the next step, looping at the
+  // end
+  stepReplay() {
+    const { replay } = this;
+    const { frames, header } = replay;
+    if (frames.length === 0) return;
+
+    const looped = replay.index === frames.length;
+    if (looped) {
+      replay.index = 0;
+    }
+    this.simulation.applyFrame(frames[replay.index++], header.species, looped);
+  }
+
+  render() {
+    this.renderer.render(this.scene, this.camera);
+  }
+
+  resize() {
+    const { container } = this;
+    this.camera.aspect = container.clientWidth / container.clientHeight;
+
+    // Update camera frustum
+    this.camera.updateProjectionMatrix();
+
+    this.renderer.setSize(container.clientWidth, container.clientHeight);
+  }
+}
+
+// Save blob to the user's downloads as name
+function download(blob, name) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = name;
+  link.click();
+  // The download may not have started by the time click() returns
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Free a material and any textures it or its uniforms hold
+function disposeMaterial(material) {
+  const values = Object.values(material);
+  if (material.uniforms) {
+    Object.values(material.uniforms).forEach(({ value }) => values.push(value));
+  }
+  values.forEach((value) => {
+    if (value && value.isTexture) {
+      value.dispose();
+    }
+  });
+  material.dispose();
+}
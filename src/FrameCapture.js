@@ -0,0 +1,137 @@
+import { createZip } from "./zip.js";
+
+// Collects frames rendered to a canvas into a zip of numbered PNGs or a WebM
+// video. Whoever drives it renders each frame and then calls addFrame(),
+// waiting for it to resolve before drawing the next.
+
+// Export formats
+export const CAPTURE_FORMATS = ["png", "webm"];
+
+// What to export, editable from the tuning panel
+export const CAPTURE_SETTINGS = {
+  // One of CAPTURE_FORMATS
+  format: "png",
+  // Frame size in pixels, independent of the page's canvas
+  width: 1920,
+  height: 1080,
+  fps: 30,
+  // Seconds of scene time to capture
+  duration: 10,
+};
+
+const WEBM_TYPES = [
+  "video/webm;codecs=vp9",
+  "video/webm;codecs=vp8",
+  "video/webm",
+];
+
+const VIDEO_BITS_PER_SECOND = 20e6;
+
+export default class FrameCapture {
+  constructor(canvas, settings = CAPTURE_SETTINGS) {
+    this.canvas = canvas;
+    this.settings = { ...settings };
+    this.frameCount = Math.max(1, Math.round(settings.duration * settings.fps));
+    this.captured = 0;
+    // Set to end early, keeping the frames so far
+    this.stopped = false;
+    this.aborted = false;
+
+    if (settings.format === "webm") {
+      this.startVideo();
+    } else {
+      this.files = [];
+    }
+  }
+
+  static isSupported(format) {
+    if (format !== "webm") return true;
+    return (
+      typeof MediaRecorder !== "undefined" &&
+      typeof HTMLCanvasElement.prototype.captureStream === "function" &&
+      WEBM_TYPES.some((type) => MediaRecorder.isTypeSupported(type))
+    );
+  }
+
+  get done() {
+    return this.captured >= this.frameCount;
+  }
+
+  // MediaRecorder stamps frames with wall-clock time. It only runs while a
+  // frame is on show, and pauses while the next one renders, so every frame
+  // lasts exactly 1 / fps in the video however long it took to draw.
+  startVideo() {
+    const stream = this.canvas.captureStream(0);
+    this.track = stream.getVideoTracks()[0];
+    this.chunks = [];
+    this.recorder = new MediaRecorder(stream, {
+      mimeType: WEBM_TYPES.find((type) => MediaRecorder.isTypeSupported(type)),
+      videoBitsPerSecond: VIDEO_BITS_PER_SECOND,
+    });
+    this.recorder.addEventListener("dataavailable", ({ data }) => {
+      if (data.size > 0) this.chunks.push(data);
+    });
+    // Milliseconds the recorder has run for so far
+    this.recorded = 0;
+    this.recorder.start();
+    this.recorder.pause();
+  }
+
+  // Store the frame just rendered to the canvas
+  addFrame() {
+    const index = this.captured++;
+
+    if (this.recorder) {
+      const resumedAt = performance.now();
+      this.recorder.resume();
+      this.track.requestFrame();
+      // Aim for where this frame should end, so timer overshoot on one
+      // frame is taken back on the next rather than adding up
+      const due = ((index + 1) * 1000) / this.settings.fps - this.recorded;
+      return new Promise((resolve) => setTimeout(resolve, due)).then(() => {
+        this.recorder.pause();
+        this.recorded += performance.now() - resumedAt;
+      });
+    }
+
+    // The canvas is read when toBlob() is called, before anything else draws
+    return new Promise((resolve) => this.canvas.toBlob(resolve, "image/png"))
+      .then((blob) => blob.arrayBuffer())
+      .then((buffer) => {
+        const number = String(index).padStart(
+          String(this.frameCount - 1).length,
+          "0"
+        );
+        this.files.push({
+          name: `frame-${number}.png`,
+          data: new Uint8Array(buffer),
+        });
+      });
+  }
+
+  // The captured frames as a Blob
+  finish() {
+    if (!this.recorder) {
+      return Promise.resolve(createZip(this.files));
+    }
+
+    return new Promise((resolve) => {
+      this.recorder.addEventListener("stop", () =>
+        resolve(new Blob(this.chunks, { type: "video/webm" }))
+      );
+      this.recorder.stop();
+      this.track.stop();
+    });
+  }
+
+  // Throw away whatever was captured
+  abort() {
+    this.aborted = true;
+    if (this.recorder && this.recorder.state !== "inactive") {
+      this.recorder.stop();
+      this.track.stop();
+    }
+    this.files = [];
+    this.chunks = [];
+  }
+}
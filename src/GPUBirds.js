@@ -0,0 +1,124 @@
+import { InstancedBufferAttribute, Vector2 } from "THREE";
+import InstancedBirds from "./InstancedBirds.js";
+import Random from "./simulation/Random.js";
+
+// Draws birds flown by GPUFlocking. Each instance looks up its own position
+// and velocity in the compute textures, so nothing per bird passes through
+// the CPU once the instances are set up. Both meshes draw every instance,
+// each folding away those nearer or farther than the LOD distance that the
+// other one shows.
+
+export default class GPUBirds extends InstancedBirds {
+  constructor(model, clips, species, flocking) {
+    super(model, clips, species.animationRate);
+    this.flocking = flocking;
+    this.indices = [];
+
+    this.computeUniforms = {
+      computePositions: { value: null },
+      computeVelocities: { value: null },
+      // Every bird plays the first clip, its offset from flapTime apart
+      flapClip: {
+        value: new Vector2(this.clips[0].start, this.clips[0].count),
+      },
+      flapTime: { value: 0 },
+      modelScale: { value: species.scale },
+      // Which way along the velocity the model's +Z ends up once facing and
+      // yaw correction are applied, as SimulationView does it
+      facingSign: { value: species.facing * Math.cos(species.yawCorrection) },
+    };
+
+    // Defines are part of three's program cache key, so this keeps it from
+    // reusing the programs it compiled for the CPU-driven variant
+    for (const material of [this.material, this.distantMaterial]) {
+      material.defines = { ...material.defines, GPU_FLOCKING: "" };
+    }
+  }
+
+  // Draw the birds in these texels of the compute textures
+  setInstances(indices) {
+    this.indices = indices;
+    this.setCapacity(Math.max(1, indices.length));
+    this.mesh.geometry.maxInstancedCount = indices.length;
+    this.distantMesh.geometry.maxInstancedCount = indices.length;
+  }
+
+  // Each instance's texel, plus an offset into the flap cycle seeded by that
+  // texel, as FlightAnimator seeds a CPU bird's by its id
+  addInstanceAttributes(geometry, capacity) {
+    const references = new Float32Array(capacity * 2);
+    const offsets = new Float32Array(capacity);
+    (this.indices || []).forEach((index, i) => {
+      references.set(this.flocking.getReference(index), i * 2);
+      offsets[i] = new Random(index).next();
+    });
+
+    geometry.addAttribute(
+      "instanceReference",
+      new InstancedBufferAttribute(references, 2)
+    );
+    geometry.addAttribute(
+      "instanceOffset",
+      new InstancedBufferAttribute(offsets, 1)
+    );
+  }
+
+  getInstanceChunk() {
+    return `
+        attribute vec2 instanceReference;
+        attribute float instanceOffset;
+        uniform sampler2D computePositions;
+        uniform sampler2D computeVelocities;
+        uniform vec2 flapClip;
+        uniform float flapTime;
+        uniform float modelScale;
+        uniform float facingSign;
+
+        // Face the direction of travel, keeping the model's up roughly up
+        vec3 instanceTransform(vec4 point) {
+          vec3 position = texture2D(computePositions, instanceReference).xyz;
+          vec3 velocity = texture2D(computeVelocities, instanceReference).xyz;
+
+          vec3 forward = length(velocity) > 0.0
+            ? normalize(velocity) * facingSign
+            : vec3(0.0, 0.0, 1.0);
+          vec3 side = cross(vec3(0.0, 1.0, 0.0), forward);
+          side = length(side) > 0.0 ? normalize(side) : vec3(1.0, 0.0, 0.0);
+          vec3 up = cross(forward, side);
+
+          return mat3(side, up, forward) * point.xyz * modelScale +
+            position * point.w;
+        }
+
+        bool instanceShown() {
+          vec3 position = texture2D(computePositions, instanceReference).xyz;
+          bool distant = distance(position, cameraPosition) > lodDistance;
+          #ifdef DISTANT_BIRDS
+            return distant;
+          #else
+            return !distant;
+          #endif
+        }
+
+        vec3 instancePose() {
+          return playClip(flapClip, fract(flapTime + instanceOffset));
+        }
+        `;
+  }
+
+  patchShader(shader) {
+    super.patchShader(shader);
+    Object.assign(shader.uniforms, this.computeUniforms);
+  }
+
+  update(delta) {
+    const uniforms = this.computeUniforms;
+    uniforms.flapTime.value = this.getPhase(
+      this.clips[0],
+      delta,
+      uniforms.flapTime.value
+    );
+    uniforms.computePositions.value = this.flocking.positionTexture;
+    uniforms.computeVelocities.value = this.flocking.velocityTexture;
+  }
+}
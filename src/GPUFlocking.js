@@ -0,0 +1,867 @@
+import {
+  Camera,
+  ClampToEdgeWrapping,
+  DataTexture,
+  FloatType,
+  Mesh,
+  NearestFilter,
+  PlaneBufferGeometry,
+  RGBAFormat,
+  Scene,
+  ShaderMaterial,
+  Vector3,
+  WebGLRenderTarget,
+} from "THREE";
+import { SPECIES } from "./species.js";
+import { BOUNDARY_MODES, getMargin } from "./simulation/boundaries.js";
+import { getNeighborRadius } from "./simulation/settings.js";
+
+// Flocking on the GPU. Every bird is one texel of a square float texture:
+// positions in one, velocities in another, each updated by a fragment shader
+// that writes into a second copy (ping-pong) so reads and writes never mix.
+// The shaders follow Bird's separation, alignment, cohesion, inter-flock
+// avoidance and boundary rules step for step, each bird against its own
+// flock's boundary. Nothing per bird runs on the CPU.
+//
+// Neighbors are found through a grid, as on the CPU. Each step, a key pass
+// tags every texel with the cell its bird is in, and a bitonic sort (one
+// pass per compare-and-swap round) lines the tags up by cell, so a cell's
+// birds sit side by side. A bird then binary-searches the sorted tags for
+// each of the 27 cells around its own and reads only the birds there, which
+// keeps a step close to linear in the bird count: tens of thousands of birds
+// fly in real time. Shader loops need fixed bounds, so no more than
+// MAX_PER_CELL birds are read from any one cell; past that, a crowded cell's
+// birds see only some of their neighbors.
+// Predators, obstacles and flock merging and splitting stay CPU-only, and
+// the CPU Simulation remains the reference; see compareWithSimulation().
+//
+// Texel layout:
+//   positions   x, y, z, flock id (-1 for an unused texel)
+//   velocities  x, y, z, index of the bird's boundary in the boundary table
+//   traitsA     separation, alignment and cohesion radius multipliers, speed
+//   traitsB     separation, alignment and cohesion weights, species index
+//   cells       cell key, index of the bird's texel (sorted by key, then index)
+//
+// The boundary table has a column per boundary in use: mode index, size,
+// strength and margin in the first row, height and home in the second.
+
+const SPECIES_IDS = Object.keys(SPECIES);
+const BOUNDARY_MODE_IDS = Object.keys(BOUNDARY_MODES);
+
+// Cell coordinates wrap at this many cells per axis, so a cell's key stays a
+// whole number a float holds exactly. Cells a whole wrap apart share a key,
+// which the distance checks sort out.
+const CELL_WRAP = 64;
+
+// Most birds read from any one cell
+const MAX_PER_CELL = 64;
+
+// Smallest grid cell, so zeroed distances can't shrink cells to nothing
+const MIN_CELL_SIZE = 1;
+
+const passThroughVertexShader = `
+  void main() {
+    gl_Position = vec4(position, 1.0);
+  }
+`;
+
+// Texels by index, counting along rows from the bottom left. WIDTH is a
+// power of two, so these divisions are exact.
+const texelChunk = `
+  float ownIndex() {
+    vec2 texel = floor(gl_FragCoord.xy);
+    return texel.y * WIDTH + texel.x;
+  }
+
+  vec2 texelAt(float index) {
+    return (vec2(mod(index, WIDTH), floor(index / WIDTH)) + 0.5) / WIDTH;
+  }
+`;
+
+const cellChunk = `
+  uniform float cellSize;
+
+  // Unused texels get a key past every cell's, so they sort to the end
+  #define EMPTY_CELL (CELL_WRAP * CELL_WRAP * CELL_WRAP)
+
+  vec3 cellOf(vec3 p) {
+    return floor(p / cellSize);
+  }
+
+  float cellKey(vec3 cell) {
+    vec3 wrapped = mod(cell, CELL_WRAP);
+    return wrapped.x + (wrapped.y + wrapped.z * CELL_WRAP) * CELL_WRAP;
+  }
+`;
+
+const boundaryChunk = `
+  uniform sampler2D boundaries;
+  uniform float boundaryCount;
+
+  // Row 0 or 1 of the boundary at index in the table
+  vec4 boundaryAt(float index, float row) {
+    return texture2D(
+      boundaries,
+      vec2((index + 0.5) / boundaryCount, (row + 0.5) / 2.0)
+    );
+  }
+
+  // Matches falloff() in boundaries.js
+  float falloff(float inside, float margin) {
+    if (margin <= 0.0) return inside < 0.0 ? 1.0 - inside : 0.0;
+    float t = 1.0 - inside / margin;
+    if (t <= 0.0) return 0.0;
+    if (t >= 1.0) return t;
+    return t * t * (3.0 - 2.0 * t);
+  }
+
+  vec3 boundaryForce(vec3 p, float index) {
+    vec4 boundary = boundaryAt(index, 0.0);
+    vec4 shape = boundaryAt(index, 1.0);
+    float mode = boundary.x;
+    float size = boundary.y;
+    float strength = boundary.z;
+    float margin = boundary.w;
+    vec3 force = vec3(0.0);
+
+    if (mode == 0.0) {
+      // softBox
+      force.x = -sign(p.x) * falloff(size - abs(p.x), margin) * strength;
+      force.y = -sign(p.y) * falloff(size - abs(p.y), margin) * strength;
+      force.z = -sign(p.z) * falloff(size - abs(p.z), margin) * strength;
+    } else if (mode == 1.0) {
+      // sphere
+      float push = falloff(size - length(p), margin) * strength;
+      if (push > 0.0) force -= normalize(p) * push;
+    } else if (mode == 2.0) {
+      // cylinder
+      vec3 radial = vec3(p.x, 0.0, p.z);
+      float push = falloff(size - length(radial), margin) * strength;
+      if (push > 0.0) force -= normalize(radial) * push;
+      force.y -= sign(p.y) * falloff(shape.x - abs(p.y), margin) * strength;
+    } else if (mode == 4.0) {
+      // attractor
+      vec3 toHome = shape.yzw - p;
+      float pull = falloff(size - length(toHome), margin) * strength;
+      if (pull > 0.0) force += normalize(toHome) * pull;
+    }
+
+    return force;
+  }
+`;
+
+// Tag each texel with the key of its bird's cell, and its own index to find
+// the bird by once sorted
+const keyShader = `
+  uniform sampler2D positions;
+
+  ${texelChunk}
+  ${cellChunk}
+
+  void main() {
+    vec4 position = texture2D(positions, gl_FragCoord.xy / WIDTH);
+    float key = position.w < 0.0 ? EMPTY_CELL : cellKey(cellOf(position.xyz));
+    gl_FragColor = vec4(key, ownIndex(), 0.0, 0.0);
+  }
+`;
+
+// One round of a bitonic sort: each texel is compared with the one
+// compareDistance away and keeps the smaller or larger of the two, by
+// whether it's the first of the pair and which way its block of blockSize
+// texels is being sorted. Ties on the key go by texel index, so the pair
+// always agree on which way round they go.
+const sortShader = `
+  uniform sampler2D source;
+  uniform float blockSize;
+  uniform float compareDistance;
+
+  ${texelChunk}
+
+  void main() {
+    float index = ownIndex();
+    bool first = mod(floor(index / compareDistance), 2.0) == 0.0;
+    float partner = first ? index + compareDistance : index - compareDistance;
+    vec4 own = texture2D(source, texelAt(index));
+    vec4 other = texture2D(source, texelAt(partner));
+
+    bool ascending = mod(floor(index / blockSize), 2.0) == 0.0;
+    bool keepSmaller = first == ascending;
+    bool otherSmaller = other.x < own.x || (other.x == own.x && other.y < own.y);
+    gl_FragColor = keepSmaller == otherSmaller ? other : own;
+  }
+`;
+
+const velocityShader = `
+  uniform sampler2D positions;
+  uniform sampler2D velocities;
+  uniform sampler2D traitsA;
+  uniform sampler2D traitsB;
+  uniform sampler2D cells;
+  uniform float dt;
+  uniform vec3 distances; // separation, alignment, cohesion
+  uniform vec3 forces; // separation, alignment, cohesion
+  uniform float maxSpeed;
+  uniform float interSpeciesSpacing;
+  uniform vec3 avoidance; // enabled, distance, force
+
+  ${texelChunk}
+  ${cellChunk}
+  ${boundaryChunk}
+
+  // Where the first bird of the cell with key is in the sorted cells, or
+  // where it would be
+  float firstInCell(float key) {
+    float low = 0.0;
+    float high = WIDTH * WIDTH;
+    for (int i = 0; i <= LOG2_COUNT; i++) {
+      if (low >= high) break;
+      float middle = floor((low + high) / 2.0);
+      if (texture2D(cells, texelAt(middle)).x < key) {
+        low = middle + 1.0;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  void main() {
+    vec2 uv = gl_FragCoord.xy / WIDTH;
+    vec4 ownPosition = texture2D(positions, uv);
+    vec4 ownVelocity = texture2D(velocities, uv);
+    vec3 velocity = ownVelocity.xyz;
+    if (ownPosition.w < 0.0) {
+      gl_FragColor = ownVelocity;
+      return;
+    }
+
+    vec4 ownTraitsA = texture2D(traitsA, uv);
+    vec4 ownTraitsB = texture2D(traitsB, uv);
+    float separationDistance = distances.x * ownTraitsA.x;
+    float alignmentDistance = distances.y * ownTraitsA.y;
+    float cohesionDistance = distances.z * ownTraitsA.z;
+    float speed = maxSpeed * ownTraitsA.w;
+
+    vec3 separation = vec3(0.0);
+    vec3 alignment = vec3(0.0);
+    vec3 cohesion = vec3(0.0);
+    vec3 avoid = vec3(0.0);
+    float separationCount = 0.0;
+    float alignmentCount = 0.0;
+    float cohesionCount = 0.0;
+    float avoidCount = 0.0;
+
+    // Cells are as wide as the widest rule distance, so every bird any rule
+    // could use is in this cell or one next to it
+    vec3 ownCell = cellOf(ownPosition.xyz);
+    for (int z = -1; z <= 1; z++) {
+      for (int y = -1; y <= 1; y++) {
+        for (int x = -1; x <= 1; x++) {
+          float key = cellKey(ownCell + vec3(float(x), float(y), float(z)));
+          float first = firstInCell(key);
+
+          for (int i = 0; i < MAX_PER_CELL; i++) {
+            float index = first + float(i);
+            if (index >= WIDTH * WIDTH) break;
+            vec4 entry = texture2D(cells, texelAt(index));
+            if (entry.x != key) break;
+
+            vec2 reference = texelAt(entry.y);
+            vec4 other = texture2D(positions, reference);
+
+            vec3 diff = ownPosition.xyz - other.xyz;
+            float distanceSquared = dot(diff, diff);
+            if (distanceSquared == 0.0) continue;
+
+            // Birds of other flocks are only something to keep clear of
+            if (other.w != ownPosition.w) {
+              if (
+                avoidance.x > 0.0 &&
+                distanceSquared < avoidance.y * avoidance.y
+              ) {
+                avoid += diff / distanceSquared;
+                avoidCount++;
+              }
+              continue;
+            }
+
+            // Mixed flocks keep extra room between birds of different species
+            float spacing = separationDistance;
+            if (texture2D(traitsB, reference).w != ownTraitsB.w) {
+              spacing = max(
+                spacing,
+                distances.x * texture2D(traitsA, reference).x
+              ) * interSpeciesSpacing;
+            }
+
+            if (distanceSquared < spacing * spacing) {
+              separation += diff / distanceSquared;
+              separationCount++;
+            }
+
+            if (distanceSquared < alignmentDistance * alignmentDistance) {
+              alignment += texture2D(velocities, reference).xyz;
+              alignmentCount++;
+            }
+
+            if (distanceSquared < cohesionDistance * cohesionDistance) {
+              cohesion += other.xyz;
+              cohesionCount++;
+            }
+          }
+        }
+      }
+    }
+
+    if (separationCount > 0.0) {
+      separation /= separationCount;
+    }
+
+    if (alignmentCount > 0.0) {
+      alignment /= alignmentCount;
+      if (length(alignment) > 0.0) alignment = normalize(alignment);
+      alignment = alignment * speed - velocity;
+    }
+
+    if (cohesionCount > 0.0) {
+      vec3 desired = cohesion / cohesionCount - ownPosition.xyz;
+      if (length(desired) > 0.0) desired = normalize(desired);
+      cohesion = desired * speed - velocity;
+    }
+
+    if (avoidCount > 0.0) {
+      avoid /= avoidCount;
+    }
+
+    vec3 acceleration =
+      separation * forces.x * ownTraitsB.x +
+      alignment * forces.y * ownTraitsB.y +
+      cohesion * forces.z * ownTraitsB.z +
+      avoid * avoidance.z +
+      boundaryForce(ownPosition.xyz, ownVelocity.w);
+
+    velocity += acceleration * dt;
+    if (length(velocity) > speed) {
+      velocity = normalize(velocity) * speed;
+    }
+
+    gl_FragColor = vec4(velocity, ownVelocity.w);
+  }
+`;
+
+const positionShader = `
+  uniform sampler2D positions;
+  uniform sampler2D velocities;
+  uniform float dt;
+
+  ${boundaryChunk}
+
+  void main() {
+    vec2 uv = gl_FragCoord.xy / WIDTH;
+    vec4 position = texture2D(positions, uv);
+
+    if (position.w >= 0.0) {
+      vec4 velocity = texture2D(velocities, uv);
+      position.xyz += velocity.xyz * dt;
+
+      // wrap: leave through one face, re-enter through the opposite one
+      vec4 boundary = boundaryAt(velocity.w, 0.0);
+      if (boundary.x == 3.0) {
+        float size = boundary.y;
+        position.xyz -= 2.0 * size * step(size, position.xyz);
+        position.xyz += 2.0 * size * step(position.xyz, vec3(-size));
+      }
+    }
+
+    gl_FragColor = position;
+  }
+`;
+
+const copyShader = `
+  uniform sampler2D source;
+
+  void main() {
+    gl_FragColor = texture2D(source, gl_FragCoord.xy / WIDTH);
+  }
+`;
+
+function createDataTexture(data, width, height = width) {
+  const texture = new DataTexture(data, width, height, RGBAFormat, FloatType);
+  texture.minFilter = NearestFilter;
+  texture.magFilter = NearestFilter;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+// Whether float textures can be rendered into. WebGL1 may allow it with
+// OES_texture_float alone, or not at all, so the sure test is to try.
+function canRenderToFloat(renderer) {
+  const gl = renderer.getContext();
+  const { isWebGL2 } = renderer.capabilities;
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(
+    gl.TEXTURE_2D,
+    0,
+    isWebGL2 ? gl.RGBA32F : gl.RGBA,
+    1,
+    1,
+    0,
+    gl.RGBA,
+    gl.FLOAT,
+    null
+  );
+  const framebuffer = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+  gl.framebufferTexture2D(
+    gl.FRAMEBUFFER,
+    gl.COLOR_ATTACHMENT0,
+    gl.TEXTURE_2D,
+    texture,
+    0
+  );
+  const complete =
+    gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  gl.deleteFramebuffer(framebuffer);
+  gl.deleteTexture(texture);
+  // three caches what it last bound, and that has just changed under it
+  renderer.state.reset();
+  return complete;
+}
+
+export default class GPUFlocking {
+  // Float textures that can be rendered into, and read in the vertex shader
+  // for drawing, are needed
+  static isSupported(renderer) {
+    const { capabilities, extensions } = renderer;
+    if (!capabilities.floatVertexTextures) return false;
+    const floatTextures = capabilities.isWebGL2
+      ? !!extensions.get("EXT_color_buffer_float")
+      : !!extensions.get("OES_texture_float");
+    return floatTextures && canRenderToFloat(renderer);
+  }
+
+  constructor(renderer, capacity, settings) {
+    this.renderer = renderer;
+    this.settings = settings;
+    this.capacity = capacity;
+    // A power of two, as the sort needs
+    this.width = 2 ** Math.ceil(Math.log2(Math.max(1, Math.sqrt(capacity))));
+    this.count = 0;
+
+    this.positionTargets = [this.createTarget(), this.createTarget()];
+    this.velocityTargets = [this.createTarget(), this.createTarget()];
+    this.current = 0;
+    // The cell keys are sorted back and forth between these
+    this.cellTargets = [this.createTarget(), this.createTarget()];
+
+    const size = this.width * this.width * 4;
+    this.traitsA = createDataTexture(new Float32Array(size), this.width);
+    this.traitsB = createDataTexture(new Float32Array(size), this.width);
+
+    // Every flock flies in the shared boundary until seed() says otherwise
+    this.boundaries = [settings.boundary];
+    this.boundaryTable = null;
+    const cellUniforms = {
+      cellSize: { value: 1 },
+    };
+    const boundaryUniforms = {
+      boundaries: { value: null },
+      boundaryCount: { value: 1 },
+    };
+    this.keyMaterial = this.createMaterial(keyShader, {
+      positions: { value: null },
+      ...cellUniforms,
+    });
+    this.sortMaterial = this.createMaterial(sortShader, {
+      source: { value: null },
+      blockSize: { value: 2 },
+      compareDistance: { value: 1 },
+    });
+    this.velocityMaterial = this.createMaterial(velocityShader, {
+      positions: { value: null },
+      velocities: { value: null },
+      traitsA: { value: this.traitsA },
+      traitsB: { value: this.traitsB },
+      cells: { value: null },
+      dt: { value: 0 },
+      distances: { value: new Vector3() },
+      forces: { value: new Vector3() },
+      maxSpeed: { value: 0 },
+      interSpeciesSpacing: { value: 1 },
+      avoidance: { value: new Vector3() },
+      ...cellUniforms,
+      ...boundaryUniforms,
+    });
+    this.positionMaterial = this.createMaterial(positionShader, {
+      positions: { value: null },
+      velocities: { value: null },
+      dt: { value: 0 },
+      ...boundaryUniforms,
+    });
+    this.copyMaterial = this.createMaterial(copyShader, {
+      source: { value: null },
+    });
+    this.createBoundaryTable();
+
+    // One full-screen quad draws every pass
+    this.scene = new Scene();
+    this.camera = new Camera();
+    this.quad = new Mesh(new PlaneBufferGeometry(2, 2), this.copyMaterial);
+    this.scene.add(this.quad);
+  }
+
+  createTarget() {
+    return new WebGLRenderTarget(this.width, this.width, {
+      wrapS: ClampToEdgeWrapping,
+      wrapT: ClampToEdgeWrapping,
+      minFilter: NearestFilter,
+      magFilter: NearestFilter,
+      format: RGBAFormat,
+      type: FloatType,
+      depthBuffer: false,
+      stencilBuffer: false,
+    });
+  }
+
+  createMaterial(fragmentShader, uniforms) {
+    return new ShaderMaterial({
+      uniforms,
+      vertexShader: passThroughVertexShader,
+      fragmentShader,
+      defines: {
+        WIDTH: this.width.toFixed(1),
+        LOG2_COUNT: Math.log2(this.width * this.width),
+        CELL_WRAP: CELL_WRAP.toFixed(1),
+        MAX_PER_CELL,
+      },
+    });
+  }
+
+  // A texture with a column for each of this.boundaries, filled in by
+  // updateUniforms()
+  createBoundaryTable() {
+    if (this.boundaryTable) {
+      this.boundaryTable.dispose();
+    }
+    const count = this.boundaries.length;
+    this.boundaryTable = createDataTexture(
+      new Float32Array(count * 2 * 4),
+      count,
+      2
+    );
+
+    // Both materials share these uniform objects
+    const uniforms = this.velocityMaterial.uniforms;
+    uniforms.boundaries.value = this.boundaryTable;
+    uniforms.boundaryCount.value = count;
+  }
+
+  get positionTexture() {
+    return this.positionTargets[this.current].texture;
+  }
+
+  get velocityTexture() {
+    return this.velocityTargets[this.current].texture;
+  }
+
+  // Texture coordinates of the texel holding the bird at index
+  getReference(index) {
+    return [
+      ((index % this.width) + 0.5) / this.width,
+      (Math.floor(index / this.width) + 0.5) / this.width,
+    ];
+  }
+
+  // Upload birds (anything shaped like a simulation Bird) as the starting
+  // state; the bird at index i lands in texel i
+  seed(birds) {
+    const size = this.width * this.width * 4;
+    if (birds.length * 4 > size) {
+      throw new Error(
+        `${birds.length} birds do not fit a ${this.width}x${this.width} texture`
+      );
+    }
+
+    const positions = new Float32Array(size).fill(-1);
+    const velocities = new Float32Array(size);
+    const traitsA = this.traitsA.image.data;
+    const traitsB = this.traitsB.image.data;
+
+    // A flock left on its simulation's shared boundary follows ours, so the
+    // live tuning reaches it
+    this.boundaries = [this.settings.boundary];
+    const getBoundaryIndex = (bird) => {
+      const { boundary } = bird.flock;
+      if (boundary === bird.simulation.settings.boundary) return 0;
+      if (!this.boundaries.includes(boundary)) {
+        this.boundaries.push(boundary);
+      }
+      return this.boundaries.indexOf(boundary);
+    };
+
+    birds.forEach((bird, i) => {
+      const offset = i * 4;
+      const { radii, weights } = bird.species;
+      positions.set(
+        [bird.position.x, bird.position.y, bird.position.z, bird.flock.id],
+        offset
+      );
+      velocities.set(
+        [
+          bird.velocity.x,
+          bird.velocity.y,
+          bird.velocity.z,
+          getBoundaryIndex(bird),
+        ],
+        offset
+      );
+      traitsA.set(
+        [radii.separation, radii.alignment, radii.cohesion, bird.species.speed],
+        offset
+      );
+      traitsB.set(
+        [
+          weights.separation,
+          weights.alignment,
+          weights.cohesion,
+          SPECIES_IDS.indexOf(bird.species.id),
+        ],
+        offset
+      );
+    });
+    this.traitsA.needsUpdate = true;
+    this.traitsB.needsUpdate = true;
+    this.createBoundaryTable();
+    this.count = birds.length;
+
+    const positionTexture = createDataTexture(positions, this.width);
+    const velocityTexture = createDataTexture(velocities, this.width);
+    this.render(
+      this.copyMaterial,
+      { source: positionTexture },
+      this.positionTargets[this.current]
+    );
+    this.render(
+      this.copyMaterial,
+      { source: velocityTexture },
+      this.velocityTargets[this.current]
+    );
+    positionTexture.dispose();
+    velocityTexture.dispose();
+  }
+
+  step(dt) {
+    this.updateUniforms(dt);
+    const next = 1 - this.current;
+    const cells = this.sortCells();
+
+    this.render(
+      this.velocityMaterial,
+      {
+        positions: this.positionTargets[this.current].texture,
+        velocities: this.velocityTargets[this.current].texture,
+        cells: cells.texture,
+      },
+      this.velocityTargets[next]
+    );
+    this.render(
+      this.positionMaterial,
+      {
+        positions: this.positionTargets[this.current].texture,
+        velocities: this.velocityTargets[next].texture,
+      },
+      this.positionTargets[next]
+    );
+
+    this.current = next;
+  }
+
+  // Key every texel by its bird's cell and sort the keys, returning the
+  // target they end up in
+  sortCells() {
+    let source = 0;
+    this.render(
+      this.keyMaterial,
+      { positions: this.positionTexture },
+      this.cellTargets[source]
+    );
+
+    const count = this.width * this.width;
+    for (let blockSize = 2; blockSize <= count; blockSize *= 2) {
+      for (
+        let compareDistance = blockSize / 2;
+        compareDistance >= 1;
+        compareDistance /= 2
+      ) {
+        this.render(
+          this.sortMaterial,
+          {
+            source: this.cellTargets[source].texture,
+            blockSize,
+            compareDistance,
+          },
+          this.cellTargets[1 - source]
+        );
+        source = 1 - source;
+      }
+    }
+
+    return this.cellTargets[source];
+  }
+
+  // Follow the live tuning, with the same fallbacks boundaries.js uses
+  updateUniforms(dt) {
+    const { params, interFlock, interSpeciesSpacing } = this.settings;
+    const velocity = this.velocityMaterial.uniforms;
+    const position = this.positionMaterial.uniforms;
+
+    velocity.dt.value = dt;
+    position.dt.value = dt;
+    velocity.distances.value.set(
+      params.separationDistance,
+      params.alignmentDistance,
+      params.cohesionDistance
+    );
+    velocity.forces.value.set(
+      params.separationForce,
+      params.alignmentForce,
+      params.cohesionForce
+    );
+    velocity.maxSpeed.value = params.maxSpeed;
+    velocity.interSpeciesSpacing.value = interSpeciesSpacing;
+    velocity.avoidance.value.set(
+      interFlock.avoid ? 1 : 0,
+      interFlock.avoidDistance,
+      interFlock.avoidForce
+    );
+
+    // Shared with the key pass
+    velocity.cellSize.value = Math.max(
+      getNeighborRadius(this.settings),
+      MIN_CELL_SIZE
+    );
+
+    const data = this.boundaryTable.image.data;
+    const count = this.boundaries.length;
+    this.boundaries.forEach((boundary, i) => {
+      const size = boundary.size || params.worldSize;
+      const home = boundary.home || { x: 0, y: 0, z: 0 };
+      data.set(
+        [
+          BOUNDARY_MODE_IDS.indexOf(boundary.mode),
+          size,
+          boundary.strength || params.turnFactor,
+          getMargin(boundary),
+        ],
+        i * 4
+      );
+      data.set(
+        [boundary.height || size, home.x, home.y, home.z],
+        (count + i) * 4
+      );
+    });
+    this.boundaryTable.needsUpdate = true;
+  }
+
+  render(material, uniforms, target) {
+    Object.entries(uniforms).forEach(
+      ([name, value]) => (material.uniforms[name].value = value)
+    );
+    this.quad.material = material;
+
+    const renderer = this.renderer;
+    const previousTarget = renderer.getRenderTarget();
+    renderer.setRenderTarget(target);
+    renderer.render(this.scene, this.camera);
+    renderer.setRenderTarget(previousTarget);
+  }
+
+  // Read the current state back, as { positions, velocities } with four
+  // floats per bird. Slow; meant for checking results, not every frame.
+  readState() {
+    const size = this.width * this.width * 4;
+    const positions = new Float32Array(size);
+    const velocities = new Float32Array(size);
+    const w = this.width;
+    this.renderer.readRenderTargetPixels(
+      this.positionTargets[this.current],
+      0,
+      0,
+      w,
+      w,
+      positions
+    );
+    this.renderer.readRenderTargetPixels(
+      this.velocityTargets[this.current],
+      0,
+      0,
+      w,
+      w,
+      velocities
+    );
+    return {
+      positions: positions.subarray(0, this.count * 4),
+      velocities: velocities.subarray(0, this.count * 4),
+    };
+  }
+
+  dispose() {
+    [
+      ...this.positionTargets,
+      ...this.velocityTargets,
+      ...this.cellTargets,
+    ].forEach((target) => target.dispose());
+    this.traitsA.dispose();
+    this.traitsB.dispose();
+    this.boundaryTable.dispose();
+    this.keyMaterial.dispose();
+    this.sortMaterial.dispose();
+    this.velocityMaterial.dispose();
+    this.positionMaterial.dispose();
+    this.copyMaterial.dispose();
+    this.quad.geometry.dispose();
+  }
+}
+
+// Run a headless simulation and the GPU side by side from the same birds and
+// report how far apart they drift. The simulation should have no predators or
+// obstacles and merging and splitting turned off, which the GPU leaves out.
+export function compareWithSimulation(renderer, simulation, steps, dt) {
+  const birds = simulation.getAllBirds();
+  const gpu = new GPUFlocking(renderer, birds.length, simulation.settings);
+  gpu.seed(birds);
+
+  for (let i = 0; i < steps; i++) {
+    simulation.step(dt);
+    gpu.step(dt);
+  }
+
+  const { positions, velocities } = gpu.readState();
+  let positionError = 0;
+  let velocityError = 0;
+  birds.forEach((bird, i) => {
+    const offset = i * 4;
+    positionError = Math.max(
+      positionError,
+      Math.hypot(
+        positions[offset] - bird.position.x,
+        positions[offset + 1] - bird.position.y,
+        positions[offset + 2] - bird.position.z
+      )
+    );
+    velocityError = Math.max(
+      velocityError,
+      Math.hypot(
+        velocities[offset] - bird.velocity.x,
+        velocities[offset + 1] - bird.velocity.y,
+        velocities[offset + 2] - bird.velocity.z
+      )
+    );
+  });
+  gpu.dispose();
+
+  return { birds: birds.length, steps, positionError, velocityError };
+}
@@ -0,0 +1,430 @@
+import {
+  BufferAttribute,
+  BufferGeometry,
+  DataTexture,
+  DoubleSide,
+  FloatType,
+  InstancedBufferAttribute,
+  InstancedBufferGeometry,
+  Mesh,
+  NearestFilter,
+  RGBAFormat,
+  Vector4,
+} from "THREE";
+
+// Draws every bird that shares a model in a single instanced draw call.
+// The model's morph-target animation clips are baked one after another into
+// a vertex animation texture (one row of vertex positions per frame), so each
+// instance can play and cross-fade clips at its own phase without an
+// AnimationMixer.
+// Birds handed to add() are anything with a `model` transform to copy and an
+// `animator` (see FlightAnimator.js) saying which clips to play where.
+//
+// Birds farther than the LOD distance from the camera are drawn instead by a
+// second instanced mesh, a child of the first: a flat, unanimated diamond as
+// wide and long as the model, in the model's material.
+
+// Sampling rate used when baking the animation clips
+const BAKE_FRAMES_PER_SECOND = 30;
+
+// Widest texture row used for baked vertex positions
+const MAX_TEXTURE_WIDTH = 1024;
+
+const INITIAL_CAPACITY = 16;
+
+// Stands in for an unlimited LOD distance, which uniforms can't hold
+const MAX_LOD_DISTANCE = 1e9;
+
+// Stands in for the clips of a model that has none, holding its rest pose
+const REST_CLIP = { name: "rest", duration: 1, tracks: [] };
+
+export default class InstancedBirds {
+  constructor(model, clips, animationRate = 1) {
+    this.source = model.geometry;
+    this.animationRate = animationRate;
+    this.birds = [];
+    this.capacity = 0;
+    // Birds farther than this from the camera are drawn by distantMesh (see
+    // setLodDistance)
+    this.lodDistance = { value: MAX_LOD_DISTANCE };
+
+    this.bakeAnimations(model, clips);
+    this.distantSource = createStandIn(this.source);
+
+    const material = model.material.clone();
+    // Morph targets are replaced by the baked texture
+    material.morphTargets = false;
+    material.onBeforeCompile = (shader) => this.patchShader(shader);
+    this.material = material;
+
+    // Seen from above and below alike, having no thickness
+    const distantMaterial = model.material.clone();
+    distantMaterial.morphTargets = false;
+    distantMaterial.side = DoubleSide;
+    distantMaterial.defines = { ...distantMaterial.defines, DISTANT_BIRDS: "" };
+    distantMaterial.onBeforeCompile = (shader) =>
+      this.patchShader(shader, true);
+    this.distantMaterial = distantMaterial;
+
+    this.mesh = new Mesh(undefined, material);
+    this.distantMesh = new Mesh(undefined, distantMaterial);
+    this.mesh.add(this.distantMesh);
+    // Instances spread across the whole world, so the base bounds are useless
+    this.mesh.frustumCulled = false;
+    this.distantMesh.frustumCulled = false;
+    this.setCapacity(INITIAL_CAPACITY);
+  }
+
+  // Sample each clip's morph weights and store the blended vertex positions,
+  // noting where every clip's frames start. A model without clips bakes just
+  // its rest pose.
+  bakeAnimations(model, clips) {
+    const geometry = model.geometry;
+    const base = geometry.attributes.position;
+    const targets = geometry.morphAttributes.position || [];
+    // Older loaders store absolute morph positions, newer ones offsets
+    const relative = geometry.morphTargetsRelative === true;
+
+    let start = 0;
+    this.clips = (clips.length > 0 ? clips : [REST_CLIP]).map((clip) => {
+      const count = Math.max(
+        1,
+        Math.ceil(clip.duration * BAKE_FRAMES_PER_SECOND)
+      );
+      start += count;
+      return {
+        clip,
+        name: clip.name,
+        duration: clip.duration,
+        start: start - count,
+        count,
+      };
+    });
+    this.clipIndices = new Map(this.clips.map(({ name }, i) => [name, i]));
+
+    const vertexCount = base.count;
+    const frameCount = start;
+    const width = Math.min(vertexCount, MAX_TEXTURE_WIDTH);
+    const rowsPerFrame = Math.ceil(vertexCount / width);
+    const height = rowsPerFrame * frameCount;
+    const data = new Float32Array(width * height * 4);
+
+    for (const { clip, start, count } of this.clips) {
+      const track = clip.tracks.find((t) =>
+        t.name.endsWith(".morphTargetInfluences")
+      );
+      const interpolant = track ? track.createInterpolant() : null;
+
+      for (let i = 0; i < count; i++) {
+        const time = (i / count) * clip.duration;
+        const weights = interpolant ? interpolant.evaluate(time) : [];
+        const frame = start + i;
+
+        for (let v = 0; v < vertexCount; v++) {
+          let x = base.getX(v);
+          let y = base.getY(v);
+          let z = base.getZ(v);
+
+          for (let t = 0; t < targets.length; t++) {
+            const weight = weights[t] || 0;
+            if (weight === 0) continue;
+
+            const target = targets[t];
+            x += weight * (target.getX(v) - (relative ? 0 : base.getX(v)));
+            y += weight * (target.getY(v) - (relative ? 0 : base.getY(v)));
+            z += weight * (target.getZ(v) - (relative ? 0 : base.getZ(v)));
+          }
+
+          const offset = (frame * rowsPerFrame * width + v) * 4;
+          data[offset] = x;
+          data[offset + 1] = y;
+          data[offset + 2] = z;
+          data[offset + 3] = 1;
+        }
+      }
+    }
+
+    const texture = new DataTexture(data, width, height, RGBAFormat, FloatType);
+    texture.minFilter = NearestFilter;
+    texture.magFilter = NearestFilter;
+    texture.generateMipmaps = false;
+    texture.flipY = false;
+    texture.needsUpdate = true;
+
+    this.animationTexture = texture;
+    // Texture width, rows per frame, frame count, texture height
+    this.animationLayout = new Vector4(width, rowsPerFrame, frameCount, height);
+  }
+
+  // Index of the named clip, falling back to the first
+  getClipIndex(name) {
+    return name !== null && this.clipIndices.has(name)
+      ? this.clipIndices.get(name)
+      : 0;
+  }
+
+  // Swap both meshes' geometry for some with room for capacity instances,
+  // none of them drawn yet
+  setCapacity(capacity) {
+    for (const [mesh, source] of [
+      [this.mesh, this.source],
+      [this.distantMesh, this.distantSource],
+    ]) {
+      const previous = mesh.geometry;
+      mesh.geometry = this.buildGeometry(source, capacity);
+      previous.dispose();
+    }
+    this.capacity = capacity;
+  }
+
+  buildGeometry(source, capacity) {
+    const geometry = new InstancedBufferGeometry();
+
+    geometry.setIndex(source.index);
+    for (const name of Object.keys(source.attributes)) {
+      geometry.addAttribute(name, source.attributes[name]);
+    }
+
+    // Lets the vertex shader find each vertex's row in the baked texture
+    const vertexIndices = new Float32Array(source.attributes.position.count);
+    vertexIndices.forEach((_, i) => (vertexIndices[i] = i));
+    geometry.addAttribute("vertexIndex", new BufferAttribute(vertexIndices, 1));
+
+    this.addInstanceAttributes(geometry, capacity);
+
+    geometry.maxInstancedCount = 0;
+    return geometry;
+  }
+
+  // Rows of each instance's affine world matrix, the first frame and frame
+  // count of the clip it is fading to and the one it is fading from, and
+  // both clips' phases plus the weight of the first
+  addInstanceAttributes(geometry, capacity) {
+    for (const name of ["instanceRow0", "instanceRow1", "instanceRow2"]) {
+      const array = new Float32Array(capacity * 4);
+      geometry.addAttribute(name, new InstancedBufferAttribute(array, 4));
+    }
+    geometry.addAttribute(
+      "instanceClips",
+      new InstancedBufferAttribute(new Float32Array(capacity * 4), 4)
+    );
+    geometry.addAttribute(
+      "instancePhases",
+      new InstancedBufferAttribute(new Float32Array(capacity * 3), 3)
+    );
+  }
+
+  // GLSL declaring instanceTransform(point), which places a model-space point
+  // in the world, instancePose(), the animated model-space vertex, and
+  // instanceShown(), whether this mesh draws the instance rather than the
+  // other one does (DISTANT_BIRDS being defined for distantMesh). The pose
+  // can build on playClip(clip, phase), which plays the clip starting at
+  // frame clip.x and clip.y frames long at a phase in [0, 1).
+  getInstanceChunk() {
+    return `
+        attribute vec4 instanceRow0;
+        attribute vec4 instanceRow1;
+        attribute vec4 instanceRow2;
+        attribute vec4 instanceClips;
+        attribute vec3 instancePhases;
+
+        vec3 instanceTransform(vec4 point) {
+          return vec3(
+            dot(instanceRow0, point),
+            dot(instanceRow1, point),
+            dot(instanceRow2, point)
+          );
+        }
+
+        // update() already shared the birds out between the meshes
+        bool instanceShown() {
+          return true;
+        }
+
+        vec3 instancePose() {
+          return mix(
+            playClip(instanceClips.zw, instancePhases.y),
+            playClip(instanceClips.xy, instancePhases.x),
+            instancePhases.z
+          );
+        }
+        `;
+  }
+
+  // Birds are drawn from the next update() on
+  add(bird) {
+    if (this.birds.length === this.capacity) {
+      this.setCapacity(this.capacity * 2);
+    }
+
+    this.birds.push(bird);
+  }
+
+  // Swap the last bird into the removed bird's slot
+  remove(bird) {
+    const index = this.birds.indexOf(bird);
+    if (index === -1) return;
+
+    const last = this.birds.pop();
+    if (last !== bird) {
+      this.birds[index] = last;
+    }
+  }
+
+  // Copy every bird's transform and clip playback into the instances, the
+  // transforms of those farther than the LOD distance from viewpoint into
+  // the stand-in's instead. Without a viewpoint every bird counts as near.
+  update(viewpoint = null) {
+    const near = this.mesh.geometry;
+    const distant = this.distantMesh.geometry;
+    const clips = near.attributes.instanceClips.array;
+    const phases = near.attributes.instancePhases.array;
+    const lodDistanceSquared = this.lodDistance.value ** 2;
+    let nearCount = 0;
+    let distantCount = 0;
+
+    this.birds.forEach((bird) => {
+      bird.model.updateMatrixWorld();
+      const e = bird.model.matrixWorld.elements;
+      if (
+        viewpoint !== null &&
+        (e[12] - viewpoint.x) ** 2 +
+          (e[13] - viewpoint.y) ** 2 +
+          (e[14] - viewpoint.z) ** 2 >
+          lodDistanceSquared
+      ) {
+        writeTransform(distant, distantCount++, e);
+        return;
+      }
+
+      const i = nearCount++;
+      writeTransform(near, i, e);
+      const { current, previous, fade, offset } = bird.animator;
+      const to = this.clips[this.getClipIndex(current.clip)];
+      const from = previous ? this.clips[this.getClipIndex(previous.clip)] : to;
+
+      clips[i * 4] = to.start;
+      clips[i * 4 + 1] = to.count;
+      clips[i * 4 + 2] = from.start;
+      clips[i * 4 + 3] = from.count;
+      phases[i * 3] = this.getPhase(to, current.time, offset);
+      phases[i * 3 + 1] = previous
+        ? this.getPhase(from, previous.time, offset)
+        : phases[i * 3];
+      phases[i * 3 + 2] = previous ? fade : 1;
+    });
+
+    near.maxInstancedCount = nearCount;
+    distant.maxInstancedCount = distantCount;
+    near.attributes.instanceClips.needsUpdate = true;
+    near.attributes.instancePhases.needsUpdate = true;
+  }
+
+  // Beyond distance from the camera, birds are drawn as the flat stand-in
+  setLodDistance(distance) {
+    this.lodDistance.value = Math.min(distance, MAX_LOD_DISTANCE);
+  }
+
+  // Phase in [0, 1) of a baked clip after this many seconds of playback
+  getPhase({ duration }, time, offset = 0) {
+    const phase = ((time * this.animationRate) / duration + offset) % 1;
+    return phase < 0 ? phase + 1 : phase;
+  }
+
+  patchShader(shader, distant = false) {
+    shader.uniforms.animationTexture = { value: this.animationTexture };
+    shader.uniforms.animationLayout = { value: this.animationLayout };
+    shader.uniforms.lodDistance = this.lodDistance;
+
+    shader.vertexShader = shader.vertexShader
+      .replace(
+        "#include <common>",
+        `#include <common>
+        attribute float vertexIndex;
+        uniform sampler2D animationTexture;
+        uniform vec4 animationLayout;
+        uniform float lodDistance;
+
+        vec3 bakedPosition(float frame) {
+          float width = animationLayout.x;
+          float x = mod(vertexIndex, width);
+          float y = frame * animationLayout.y + floor(vertexIndex / width);
+          vec2 uv = (vec2(x, y) + 0.5) / animationLayout.xw;
+          return texture2D(animationTexture, uv).xyz;
+        }
+
+        vec3 playClip(vec2 clip, float phase) {
+          float frame = phase * clip.y;
+          float frameA = floor(frame);
+          float frameB = mod(frameA + 1.0, clip.y);
+          return mix(
+            bakedPosition(clip.x + frameA),
+            bakedPosition(clip.x + frameB),
+            frame - frameA
+          );
+        }
+        ${this.getInstanceChunk()}`
+      )
+      .replace(
+        "#include <beginnormal_vertex>",
+        `vec3 objectNormal = instanceTransform(vec4(normal, 0.0));`
+      )
+      .replace(
+        "#include <begin_vertex>",
+        // Instances the other mesh draws fold away to a point out of view
+        `if (!instanceShown()) {
+          gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+          return;
+        }
+        vec3 transformed = instanceTransform(vec4(${
+          distant ? "position" : "instancePose()"
+        }, 1.0));`
+      );
+  }
+}
+
+// Copy the affine rows of a world matrix into instance index's transform
+function writeTransform(geometry, index, e) {
+  const { instanceRow0, instanceRow1, instanceRow2 } = geometry.attributes;
+  [instanceRow0, instanceRow1, instanceRow2].forEach((attribute, row) => {
+    attribute.array[index * 4] = e[row];
+    attribute.array[index * 4 + 1] = e[row + 4];
+    attribute.array[index * 4 + 2] = e[row + 8];
+    attribute.array[index * 4 + 3] = e[row + 12];
+    attribute.needsUpdate = true;
+  });
+}
+
+// A flat diamond spanning the model's rest pose across and along, facing up
+function createStandIn(source) {
+  if (!source.boundingBox) {
+    source.computeBoundingBox();
+  }
+  const { min, max } = source.boundingBox;
+  const x = (min.x + max.x) / 2;
+  const y = (min.y + max.y) / 2;
+  const z = (min.z + max.z) / 2;
+
+  const geometry = new BufferGeometry();
+  geometry.setIndex([0, 3, 1, 0, 1, 2]);
+  geometry.addAttribute(
+    "position",
+    new BufferAttribute(
+      new Float32Array([min.x, y, z, max.x, y, z, x, y, min.z, x, y, max.z]),
+      3
+    )
+  );
+  geometry.addAttribute(
+    "normal",
+    new BufferAttribute(
+      new Float32Array([0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1, 0]),
+      3
+    )
+  );
+  // Textured models show the middle of their texture
+  geometry.addAttribute(
+    "uv",
+    new BufferAttribute(new Float32Array(8).fill(0.5), 2)
+  );
+  return geometry;
+}
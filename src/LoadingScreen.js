@@ -0,0 +1,71 @@
+// Covers a scene while a ModelLoader fetches its bird models, with a bar
+// filling as they arrive. Models that fail are listed; the screen then stays
+// up until clicked, so the placeholders flying about are explained.
+
+export default class LoadingScreen {
+  constructor(parent, loader) {
+    this.loader = loader;
+    this.failed = 0;
+
+    this.element = document.createElement("div");
+    this.element.className = "flocker-loading";
+    this.label = document.createElement("div");
+    this.label.textContent = "Loading birds…";
+    const track = document.createElement("div");
+    track.className = "flocker-loading-track";
+    this.bar = document.createElement("div");
+    this.bar.className = "flocker-loading-bar";
+    track.appendChild(this.bar);
+    this.errors = document.createElement("ul");
+    this.element.append(this.label, track, this.errors);
+    this.element.addEventListener("click", () => {
+      if (this.failed > 0) this.hide();
+    });
+    this.hide();
+    parent.appendChild(this.element);
+
+    // Kept so dispose() can remove them
+    this.handlers = {
+      progress: ({ fraction, loaded, total }) => {
+        this.show();
+        this.bar.style.width = `${Math.round(fraction * 100)}%`;
+        this.label.textContent = `Loading birds… ${loaded} of ${total}`;
+      },
+      error: (error) => {
+        this.failed++;
+        const item = document.createElement("li");
+        item.textContent = error.message;
+        this.errors.appendChild(item);
+      },
+      loaded: () => {
+        if (this.failed === 0) {
+          this.hide();
+        } else {
+          this.label.textContent =
+            `${this.failed} bird model${this.failed > 1 ? "s" : ""} ` +
+            "failed to load and are shown as placeholders. Click to dismiss.";
+        }
+      },
+    };
+    for (const [type, handler] of Object.entries(this.handlers)) {
+      loader.on(type, handler);
+    }
+  }
+
+  show() {
+    this.element.style.display = "";
+  }
+
+  hide() {
+    this.element.style.display = "none";
+    this.failed = 0;
+    this.errors.textContent = "";
+  }
+
+  dispose() {
+    for (const [type, handler] of Object.entries(this.handlers)) {
+      this.loader.off(type, handler);
+    }
+    this.element.remove();
+  }
+}
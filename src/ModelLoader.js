@@ -0,0 +1,251 @@
+import {
+  ConeBufferGeometry,
+  Mesh,
+  MeshStandardMaterial,
+  Skeleton,
+} from "THREE";
+import GLTFLoader from "three-gltf-loader";
+import Emitter from "./simulation/Emitter.js";
+
+// Loads bird models for the renderers. Each URL is fetched and parsed once
+// per page, however many scenes or renderers ask for it, and every caller
+// gets its own copy. Failed fetches are retried; a model that still can't be
+// loaded, or has nothing to draw, is swapped for a placeholder so its birds
+// still show up, and the failure is reported.
+//
+// Events, for loading screens:
+//   progress ({ fraction, loaded, total }), fraction in [0, 1] across every
+//     model this loader was asked for, loaded and total counting models
+//   error (ModelLoadError), once per model given a placeholder
+//   loaded (), when nothing is left loading
+
+// Retry settings
+export const LOADER_SETTINGS = {
+  // Further attempts after the first fails
+  retries: 2,
+  // Seconds before the first retry, doubling for each one after
+  retryDelay: 1,
+};
+
+// Parsed glTF results by URL, shared by every loader
+const cache = new Map();
+
+export class ModelLoadError extends Error {
+  constructor(url, reason, attempts = 1) {
+    super(
+      `Could not load bird model "${url}"` +
+        (attempts > 1 ? ` after ${attempts} attempts` : "") +
+        `: ${reason}`
+    );
+    this.name = "ModelLoadError";
+    this.url = url;
+    this.attempts = attempts;
+  }
+}
+
+export default class ModelLoader extends Emitter {
+  constructor(settings = LOADER_SETTINGS) {
+    super();
+    this.settings = settings;
+
+    // URL -> { loaded, total, done }, bytes for the fetch in flight
+    this.requests = new Map();
+  }
+
+  // Resolves to { scene, mesh, animations, placeholder, error }: a copy of
+  // the model's scene, the mesh in it to draw birds with, and its animation
+  // clips. Never rejects; a model that fails comes back as a placeholder
+  // with the error that caused it.
+  load(url) {
+    this.track(url);
+    return this.fetch(url)
+      .then((gltf) => {
+        const scene = cloneModel(gltf.scene);
+        const mesh = findBirdMesh(scene);
+        if (!mesh) {
+          throw new ModelLoadError(url, "it contains no mesh");
+        }
+        return {
+          scene,
+          mesh,
+          animations: gltf.animations || [],
+          placeholder: false,
+          error: null,
+        };
+      })
+      .catch((error) => {
+        const loadError =
+          error instanceof ModelLoadError
+            ? error
+            : new ModelLoadError(url, error.message || String(error));
+        console.error(loadError.message);
+        this.emit("error", loadError);
+        return createPlaceholder(loadError);
+      })
+      .then((result) => {
+        this.finish(url);
+        return result;
+      });
+  }
+
+  // The parsed glTF, from the cache or fetched with retries. Failures leave
+  // the cache, so a later load tries again.
+  fetch(url) {
+    if (!cache.has(url)) {
+      const promise = this.attempt(url, 0);
+      promise.catch(() => cache.delete(url));
+      cache.set(url, promise);
+    }
+    return cache.get(url);
+  }
+
+  attempt(url, retry) {
+    return new Promise((resolve, reject) => {
+      new GLTFLoader().load(
+        url,
+        resolve,
+        (event) => this.onProgress(url, event),
+        reject
+      );
+    }).catch((error) => {
+      const { retries, retryDelay } = this.settings;
+      if (retry >= retries) {
+        throw new ModelLoadError(url, describeLoadFailure(error), retry + 1);
+      }
+
+      const seconds = retryDelay * 2 ** retry;
+      console.warn(`Retrying bird model "${url}" in ${seconds}s`);
+      return new Promise((resolve) => setTimeout(resolve, seconds * 1000)).then(
+        () => this.attempt(url, retry + 1)
+      );
+    });
+  }
+
+  track(url) {
+    if (!this.requests.has(url) || this.requests.get(url).done) {
+      this.requests.set(url, { loaded: 0, total: 0, done: false });
+      this.emitProgress();
+    }
+  }
+
+  onProgress(url, { loaded, total }) {
+    const request = this.requests.get(url);
+    if (request && !request.done) {
+      request.loaded = loaded;
+      request.total = total;
+      this.emitProgress();
+    }
+  }
+
+  finish(url) {
+    this.requests.get(url).done = true;
+    this.emitProgress();
+    if (this.loading === 0) {
+      this.emit("loaded");
+    }
+  }
+
+  // Resolves once nothing is left loading
+  whenLoaded() {
+    if (this.loading === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      const loaded = () => {
+        this.off("loaded", loaded);
+        resolve();
+      };
+      this.on("loaded", loaded);
+    });
+  }
+
+  get loading() {
+    let loading = 0;
+    this.requests.forEach(({ done }) => (loading += done ? 0 : 1));
+    return loading;
+  }
+
+  // Models still fetching count for the bytes they have so far, where the
+  // server says how many to expect
+  emitProgress() {
+    let sum = 0;
+    this.requests.forEach(({ loaded, total, done }) => {
+      sum += done ? 1 : total > 0 ? loaded / total : 0;
+    });
+    const total = this.requests.size;
+    this.emit("progress", {
+      fraction: total > 0 ? sum / total : 1,
+      loaded: total - this.loading,
+      total,
+    });
+  }
+}
+
+// Loaders reject with an Error, or with the XHR's progress event when the
+// request itself failed
+function describeLoadFailure(error) {
+  if (error instanceof Error) return error.message;
+  const request = error && error.target;
+  if (request && request.status) {
+    return `the server answered ${request.status} ${request.statusText}`;
+  }
+  return "the request failed";
+}
+
+// Copy of a loaded scene. Object3D.clone() leaves skinned meshes bound to
+// the original's bones, so each one is rebound to the copy's own.
+function cloneModel(source) {
+  const clone = source.clone();
+
+  const copies = new Map();
+  const pair = (original, copy) => {
+    copies.set(original, copy);
+    original.children.forEach((child, i) => pair(child, copy.children[i]));
+  };
+  pair(source, clone);
+
+  copies.forEach((copy, original) => {
+    if (original.isSkinnedMesh) {
+      const { bones, boneInverses } = original.skeleton;
+      copy.bind(
+        new Skeleton(
+          bones.map((bone) => copies.get(bone)),
+          boneInverses
+        ),
+        original.bindMatrix
+      );
+    }
+  });
+  return clone;
+}
+
+// The mesh to draw birds with: the first with morph targets to animate,
+// else the first with any geometry
+function findBirdMesh(scene) {
+  let animated = null;
+  let first = null;
+  scene.traverse((object) => {
+    if (!object.isMesh || !object.geometry.attributes.position) return;
+    if (Array.isArray(object.material)) {
+      object.material = object.material[0];
+    }
+    if (!first) first = object;
+    if (!animated && object.geometry.morphAttributes.position) {
+      animated = object;
+    }
+  });
+  return animated || first;
+}
+
+// A flat magenta dart in place of a model that failed to load, about a
+// bird's size at the species' scale, nose along +Z like the bird models
+function createPlaceholder(error) {
+  const geometry = new ConeBufferGeometry(10, 30, 4);
+  geometry.rotateX(Math.PI / 2);
+  geometry.scale(1, 0.3, 1);
+  const mesh = new Mesh(
+    geometry,
+    new MeshStandardMaterial({ color: 0xff00ff, flatShading: true })
+  );
+  return { scene: mesh, mesh, animations: [], placeholder: true, error };
+}
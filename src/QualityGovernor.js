@@ -0,0 +1,175 @@
+import Emitter from "./simulation/Emitter.js";
+
+// Holds a target frame rate by moving between quality tiers. Frame times are
+// averaged over short samples: one slow sample drops a tier at once, while
+// going back up takes several comfortably fast ones in a row, and an upgrade
+// that had to be undone makes the next one wait twice as long, so the
+// governor settles instead of flip-flopping.
+//
+// Events:
+//   change (tier), whenever the tier in use changes
+
+// Best first. Each tier sets:
+//   pixelRatio            cap on the display's device pixel ratio
+//   antialias             multisampling; only read when the renderer is made
+//   octaves               noise octaves summed by the clouds (fog uses one
+//                         fewer)
+//   cloudLayers           how many cloud layers to draw, nearest dropped first
+//   lodDistance           birds farther than this from the camera are drawn
+//                         as a flat, unanimated stand-in
+//   distantFlockDistance  flocks farther than this step, turn and flap
+//                         only...
+//   distantFlockInterval  ...every this many steps and frames
+//
+// Only the top tier steps every flock every step, so only there does a seed
+// play out the same whatever the machine; exports always use it.
+export const QUALITY_TIERS = [
+  {
+    name: "high",
+    pixelRatio: 2,
+    antialias: true,
+    octaves: 5,
+    cloudLayers: 4,
+    lodDistance: Infinity,
+    distantFlockDistance: Infinity,
+    distantFlockInterval: 1,
+  },
+  {
+    name: "medium",
+    pixelRatio: 1.5,
+    antialias: true,
+    octaves: 4,
+    cloudLayers: 3,
+    lodDistance: 70,
+    distantFlockDistance: 60,
+    distantFlockInterval: 2,
+  },
+  {
+    name: "low",
+    pixelRatio: 1,
+    antialias: false,
+    octaves: 3,
+    cloudLayers: 2,
+    lodDistance: 50,
+    distantFlockDistance: 45,
+    distantFlockInterval: 3,
+  },
+  {
+    name: "lowest",
+    pixelRatio: 0.75,
+    antialias: false,
+    octaves: 2,
+    cloudLayers: 1,
+    lodDistance: 35,
+    distantFlockDistance: 30,
+    distantFlockInterval: 4,
+  },
+];
+
+export const QUALITY_MODES = ["auto", ...QUALITY_TIERS.map(({ name }) => name)];
+
+// Editable live from the tuning panel
+export const GOVERNOR_SETTINGS = {
+  // "auto", or the name of a tier to stay on
+  mode: "auto",
+  // Frames per second to hold
+  targetFps: 50,
+  // Seconds of frames averaged per sample
+  sampleTime: 1,
+  // Samples in a row at targetFps × upgradeHeadroom or better before trying
+  // the tier above
+  upgradeSamples: 5,
+  upgradeHeadroom: 1.15,
+};
+
+// Frames longer than this are stalls, or a hidden tab, and not counted
+const MAX_FRAME_TIME = 0.25;
+
+export default class QualityGovernor extends Emitter {
+  constructor(settings = { ...GOVERNOR_SETTINGS }, tiers = QUALITY_TIERS) {
+    super();
+    this.settings = settings;
+    this.tiers = tiers;
+    this.index = 0;
+
+    // Frame rate over the last full sample, and the sample in progress
+    this.fps = 0;
+    this.sampleFrames = 0;
+    this.sampleSeconds = 0;
+
+    this.fastSamples = 0;
+    this.upgradeDelay = 1;
+    this.upgraded = false;
+    // The first sample after a change is skipped while things settle
+    this.settling = false;
+
+    this.applyMode();
+  }
+
+  get tier() {
+    return this.tiers[this.index];
+  }
+
+  // Follow settings.mode after it changes; a fixed tier applies at once
+  applyMode() {
+    const { mode } = this.settings;
+    if (mode === "auto") return;
+
+    const index = this.tiers.findIndex(({ name }) => name === mode);
+    if (index === -1) {
+      throw new Error(`Unknown quality mode "${mode}"`);
+    }
+    this.setTier(index);
+  }
+
+  // Count one frame's duration, in seconds
+  measure(delta) {
+    if (delta > MAX_FRAME_TIME) return;
+
+    this.sampleFrames++;
+    this.sampleSeconds += delta;
+    if (this.sampleSeconds < this.settings.sampleTime) return;
+
+    this.fps = this.sampleFrames / this.sampleSeconds;
+    this.sampleFrames = 0;
+    this.sampleSeconds = 0;
+    if (this.settings.mode !== "auto") return;
+    if (this.settling) {
+      this.settling = false;
+      return;
+    }
+
+    const { targetFps, upgradeSamples, upgradeHeadroom } = this.settings;
+    if (this.fps < targetFps) {
+      this.fastSamples = 0;
+      if (this.index < this.tiers.length - 1) {
+        // The tier above was too much after all; wait longer next time
+        if (this.upgraded) {
+          this.upgradeDelay *= 2;
+        }
+        this.upgraded = false;
+        this.setTier(this.index + 1);
+      }
+    } else if (this.fps >= targetFps * upgradeHeadroom) {
+      this.fastSamples++;
+      if (
+        this.index > 0 &&
+        this.fastSamples >= upgradeSamples * this.upgradeDelay
+      ) {
+        this.fastSamples = 0;
+        this.upgraded = true;
+        this.setTier(this.index - 1);
+      }
+    } else {
+      this.fastSamples = 0;
+      this.upgraded = false;
+    }
+  }
+
+  setTier(index) {
+    if (index === this.index) return;
+    this.index = index;
+    this.settling = true;
+    this.emit("change", this.tier);
+  }
+}
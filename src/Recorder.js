@@ -0,0 +1,150 @@
+// Records the state of every bird at each simulation step, and reads those
+// recordings back for replay.
+//
+// File layout (little endian), gzip-compressed when the browser supports it:
+//   "FLKR", header length (uint32), header JSON (padded to 4 bytes)
+//   then per step: bird count n (uint32), n bird ids (uint32),
+//   n flock ids (uint32), n species indices (uint32) into header.species,
+//   and n × [px, py, pz, vx, vy, vz] (float32)
+
+const MAGIC = "FLKR";
+const VERSION = 1;
+const FLOATS_PER_BIRD = 6;
+
+export class Recorder {
+  // header carries anything replay needs to know, such as the step and seed
+  constructor(header) {
+    this.header = { ...header, version: VERSION, species: [] };
+    this.chunks = [];
+    this.frameCount = 0;
+  }
+
+  // Append one step's worth of bird state
+  capture(birds) {
+    const count = birds.length;
+    const buffer = new ArrayBuffer(
+      4 + count * 12 + count * FLOATS_PER_BIRD * 4
+    );
+    new Uint32Array(buffer, 0, 1)[0] = count;
+
+    const ids = new Uint32Array(buffer, 4, count);
+    const flockIds = new Uint32Array(buffer, 4 + count * 4, count);
+    const species = new Uint32Array(buffer, 4 + count * 8, count);
+    const state = new Float32Array(
+      buffer,
+      4 + count * 12,
+      count * FLOATS_PER_BIRD
+    );
+
+    birds.forEach((bird, i) => {
+      ids[i] = bird.id;
+      flockIds[i] = bird.flock.id;
+      species[i] = this.getSpeciesIndex(bird.species.id);
+
+      const offset = i * FLOATS_PER_BIRD;
+      state[offset] = bird.position.x;
+      state[offset + 1] = bird.position.y;
+      state[offset + 2] = bird.position.z;
+      state[offset + 3] = bird.velocity.x;
+      state[offset + 4] = bird.velocity.y;
+      state[offset + 5] = bird.velocity.z;
+    });
+
+    this.chunks.push(buffer);
+    this.frameCount++;
+  }
+
+  getSpeciesIndex(id) {
+    let index = this.header.species.indexOf(id);
+    if (index === -1) {
+      index = this.header.species.push(id) - 1;
+    }
+    return index;
+  }
+
+  // The finished recording as a Blob
+  finish() {
+    const header = { ...this.header, frameCount: this.frameCount };
+    let json = JSON.stringify(header);
+    // Pad so the frames that follow stay 4-byte aligned
+    json += " ".repeat((4 - (new TextEncoder().encode(json).length % 4)) % 4);
+    const headerBytes = new TextEncoder().encode(json);
+
+    const prefix = new ArrayBuffer(8);
+    new Uint8Array(prefix, 0, 4).set(new TextEncoder().encode(MAGIC));
+    new DataView(prefix).setUint32(4, headerBytes.length, true);
+
+    const blob = new Blob([prefix, headerBytes, ...this.chunks], {
+      type: "application/octet-stream",
+    });
+    return compress(blob);
+  }
+}
+
+// Parse a recording into { header, frames }, where each frame holds typed
+// array views { ids, flockIds, species, state } for one step
+export function parseRecording(blob) {
+  return decompress(blob)
+    .then((data) => data.arrayBuffer())
+    .then((buffer) => {
+      const magic = new TextDecoder().decode(new Uint8Array(buffer, 0, 4));
+      if (magic !== MAGIC) {
+        throw new Error("Not a flock recording");
+      }
+
+      const headerLength = new DataView(buffer).getUint32(4, true);
+      const header = JSON.parse(
+        new TextDecoder().decode(new Uint8Array(buffer, 8, headerLength))
+      );
+      if (header.version !== VERSION) {
+        throw new Error(`Unsupported recording version ${header.version}`);
+      }
+
+      const frames = [];
+      let offset = 8 + headerLength;
+      while (offset < buffer.byteLength) {
+        const count = new DataView(buffer).getUint32(offset, true);
+        offset += 4;
+
+        frames.push({
+          ids: new Uint32Array(buffer, offset, count),
+          flockIds: new Uint32Array(buffer, offset + count * 4, count),
+          species: new Uint32Array(buffer, offset + count * 8, count),
+          state: new Float32Array(
+            buffer,
+            offset + count * 12,
+            count * FLOATS_PER_BIRD
+          ),
+        });
+        offset += count * 12 + count * FLOATS_PER_BIRD * 4;
+      }
+
+      return { header, frames };
+    });
+}
+
+function compress(blob) {
+  if (typeof CompressionStream === "undefined") {
+    return Promise.resolve(blob);
+  }
+  const stream = blob.stream().pipeThrough(new CompressionStream("gzip"));
+  return new Response(stream).blob();
+}
+
+// Gzip files start with 0x1f 0x8b; anything else is read as-is
+function decompress(blob) {
+  return blob
+    .slice(0, 2)
+    .arrayBuffer()
+    .then((buffer) => {
+      const bytes = new Uint8Array(buffer);
+      if (bytes[0] !== 0x1f || bytes[1] !== 0x8b) {
+        return blob;
+      }
+      if (typeof DecompressionStream === "undefined") {
+        throw new Error("This browser cannot read compressed recordings");
+      }
+      const stream = blob.stream().pipeThrough(new DecompressionStream("gzip"));
+      return new Response(stream).blob();
+    });
+}
@@ -0,0 +1,361 @@
+import {
+  ConeGeometry,
+  Group,
+  Mesh,
+  MeshStandardMaterial,
+  Matrix4,
+  Object3D,
+  Quaternion,
+  Vector3,
+} from "THREE";
+import InstancedBirds from "./InstancedBirds.js";
+import FlightAnimator, { ANIMATION_STYLE } from "./FlightAnimator.js";
+import ModelLoader from "./ModelLoader.js";
+
+// Mirrors a Simulation into a three.js scene. Each flock gets a Group holding
+// a bare transform per bird, which the species' instanced mesh draws; the
+// simulation itself never sees any of it.
+
+// How birds turn, bank and flap, editable live from the tuning panel
+export const FLIGHT_STYLE = {
+  // Fastest a bird turns toward its direction of travel, in radians a second
+  maxTurnRate: 4,
+  // Radians of roll per unit of sideways acceleration, and the most allowed
+  bankFactor: 0.02,
+  maxBank: 0.8,
+  // How quickly roll settles on its target, per second
+  bankSmoothing: 6,
+  // Extra flap speed when climbing straight up, and speed shed in a dive
+  climbFlapBoost: 0.8,
+  diveFlapCut: 0.6,
+};
+
+// Level of detail, lowered by the quality governor on slow machines
+export const DETAIL_SETTINGS = {
+  // Birds farther than this from the camera are drawn as a flat, unanimated
+  // stand-in (see InstancedBirds.js)
+  lodDistance: Infinity,
+  // Flocks whose center is farther than this turn and flap only every
+  // distantFlockInterval frames, catching up on the time they skipped. The
+  // scene has the simulation step them as seldom (see
+  // Simulation.setDistantFlocks).
+  distantFlockDistance: Infinity,
+  distantFlockInterval: 1,
+};
+
+// Birds slower than this fraction of their top speed hold their heading
+const MIN_HEADING_SPEED = 0.05;
+
+const UP = new Vector3(0, 1, 0);
+const ORIGIN = new Vector3();
+const direction = new Vector3();
+const side = new Vector3();
+const acceleration = new Vector3();
+const rotation = new Matrix4();
+const targetRotation = new Quaternion();
+const yaw = new Quaternion();
+const roll = new Quaternion();
+
+export default class SimulationView {
+  constructor(simulation, scene, modelLoader = new ModelLoader()) {
+    this.simulation = simulation;
+    this.scene = scene;
+    this.modelLoader = modelLoader;
+    this.flight = { ...FLIGHT_STYLE };
+    this.animation = { ...ANIMATION_STYLE };
+    this.detail = { ...DETAIL_SETTINGS };
+    this.frame = 0;
+
+    // Flock -> Group, bird -> view (see addBird), predator -> Mesh
+    this.flockGroups = new Map();
+    // Flock -> seconds since its birds last turned and flapped
+    this.flockWaits = new Map();
+    this.birdViews = new Map();
+    this.predatorModels = new Map();
+
+    // One instanced renderer per species, loaded on first use
+    this.birdRenderers = new Map();
+    this.loadedBirdRenderers = new Map();
+    // Set by dispose(), for models still loading to find
+    this.disposed = false;
+
+    simulation
+      .on("flockAdded", (flock) => this.addFlock(flock))
+      .on("flockRemoved", (flock) => this.removeFlock(flock))
+      .on("birdAdded", (bird) => this.addBird(bird))
+      .on("birdRemoved", (bird) => this.removeBird(bird))
+      .on("birdMoved", (bird) => this.moveBird(bird))
+      .on("predatorAdded", (predator) => this.addPredator(predator))
+      .on("predatorRemoved", (predator) => this.removePredator(predator));
+
+    // Pick up anything the simulation already holds
+    simulation.flocks.forEach((flock) => {
+      this.addFlock(flock);
+      flock.birds.forEach((bird) => this.addBird(bird));
+    });
+    simulation.predators.forEach((predator) => this.addPredator(predator));
+  }
+
+  addFlock(flock) {
+    const group = new Group();
+    group.name = `flock-${flock.id}`;
+    this.flockGroups.set(flock, group);
+    this.scene.add(group);
+  }
+
+  removeFlock(flock) {
+    this.scene.remove(this.flockGroups.get(flock));
+    this.flockGroups.delete(flock);
+    this.flockWaits.delete(flock);
+  }
+
+  // Birds are drawn once their species' model has loaded
+  addBird(bird) {
+    // Each bird is a bare transform; the instanced mesh draws it
+    const model = new Object3D();
+    model.position.copy(bird.position);
+    model.scale.setScalar(bird.species.scale);
+    model.userData.bird = bird;
+
+    // Velocity as of the last change, and the time since, give the
+    // acceleration that banking follows
+    const view = {
+      bird,
+      model,
+      animator: new FlightAnimator(bird.species, this.animation, bird.id),
+      flapRate: 1,
+      lastVelocity: new Vector3().copy(bird.velocity),
+      sinceVelocityChange: 0,
+      bank: 0,
+      targetBank: 0,
+      oriented: false,
+    };
+    this.birdViews.set(bird, view);
+    this.flockGroups.get(bird.flock).add(model);
+    this.updateOrientation(view, 0);
+
+    this.getBirdRenderer(bird.species).then((birdRenderer) => {
+      if (birdRenderer && this.birdViews.get(bird) === view) {
+        birdRenderer.add(view);
+      }
+    });
+  }
+
+  // Stop drawing a bird, including one whose model is still loading
+  removeBird(bird) {
+    const view = this.birdViews.get(bird);
+    if (!view) return;
+
+    this.birdViews.delete(bird);
+    view.model.parent.remove(view.model);
+    const birdRenderer = this.loadedBirdRenderers.get(bird.species);
+    if (birdRenderer) {
+      birdRenderer.remove(view);
+    }
+  }
+
+  moveBird(bird) {
+    const view = this.birdViews.get(bird);
+    this.flockGroups.get(bird.flock).add(view.model);
+  }
+
+  addPredator(predator) {
+    // A dark cone, tip first, stands in for a hawk
+    const geometry = new ConeGeometry(1, 4, 8);
+    geometry.rotateX(Math.PI / 2);
+    const material = new MeshStandardMaterial({ color: 0x212121 });
+    const model = new Mesh(geometry, material);
+    model.position.copy(predator.position);
+
+    this.predatorModels.set(predator, model);
+    this.scene.add(model);
+  }
+
+  removePredator(predator) {
+    const model = this.predatorModels.get(predator);
+    this.predatorModels.delete(predator);
+    this.scene.remove(model);
+    model.geometry.dispose();
+    model.material.dispose();
+  }
+
+  setPredatorsVisible(visible) {
+    this.predatorModels.forEach((model) => (model.visible = visible));
+  }
+
+  // Load a species' model once and wrap it in an instanced renderer. Models
+  // that fail to load still resolve, drawn as the loader's placeholder;
+  // those that load after dispose() resolve to null.
+  getBirdRenderer(species) {
+    if (!this.birdRenderers.has(species)) {
+      const promise = this.modelLoader
+        .load(species.model)
+        .then(({ mesh, animations }) => {
+          if (this.disposed) return null;
+
+          const birdRenderer = new InstancedBirds(
+            mesh,
+            animations,
+            species.animationRate
+          );
+          birdRenderer.setLodDistance(this.detail.lodDistance);
+          this.scene.add(birdRenderer.mesh);
+          this.loadedBirdRenderers.set(species, birdRenderer);
+          return birdRenderer;
+        });
+      this.birdRenderers.set(species, promise);
+    }
+
+    return this.birdRenderers.get(species);
+  }
+
+  // Place every model between the previous and current step, alpha in [0, 1]
+  interpolate(alpha) {
+    this.birdViews.forEach(({ bird, model }) => {
+      model.position.lerpVectors(bird.previousPosition, bird.position, alpha);
+    });
+
+    this.predatorModels.forEach((model, predator) => {
+      model.position.lerpVectors(
+        predator.previousPosition,
+        predator.position,
+        alpha
+      );
+
+      if (predator.velocity.lengthSq() > 0) {
+        model.lookAt(
+          new Vector3().addVectors(model.position, predator.velocity)
+        );
+      }
+    });
+  }
+
+  // Turn toward the direction of travel no faster than maxTurnRate, rolling
+  // into turns, and flap faster climbing than diving. The first call snaps
+  // straight to the heading.
+  updateOrientation(view, delta) {
+    const { bird, model } = view;
+    const flight = this.flight;
+
+    // The simulation steps less often than frames are drawn, so measure
+    // acceleration across whole changes in velocity
+    view.sinceVelocityChange += delta;
+    if (!view.lastVelocity.equals(bird.velocity)) {
+      acceleration.subVectors(bird.velocity, view.lastVelocity);
+      view.lastVelocity.copy(bird.velocity);
+      if (view.oriented && view.sinceVelocityChange > 0) {
+        acceleration.divideScalar(view.sinceVelocityChange);
+      } else {
+        acceleration.set(0, 0, 0);
+      }
+      view.sinceVelocityChange = 0;
+
+      // Turning toward the left wing (up x forward) rolls that wing down
+      const speed = bird.velocity.length();
+      if (speed > 0) {
+        direction.copy(bird.velocity).divideScalar(speed);
+        side.crossVectors(UP, direction).normalize();
+        view.targetBank = Math.max(
+          -flight.maxBank,
+          Math.min(flight.maxBank, acceleration.dot(side) * flight.bankFactor)
+        );
+      }
+    }
+    view.bank +=
+      (view.targetBank - view.bank) * Math.min(1, flight.bankSmoothing * delta);
+
+    const speed = bird.velocity.length();
+    if (speed <= bird.getMaxSpeed() * MIN_HEADING_SPEED) return;
+    direction.copy(bird.velocity).divideScalar(speed);
+
+    // Wingbeats quicken on the way up and slow on the way down, smoothly
+    // within whichever state the animator is in
+    view.flapRate =
+      1 +
+      flight.climbFlapBoost * Math.max(0, direction.y) -
+      flight.diveFlapCut * Math.max(0, -direction.y);
+
+    // Point the model's +Z along the travel direction (or against it for
+    // models built facing -Z), apply the species' yaw correction, then roll
+    // about the direction of travel
+    side.copy(direction).multiplyScalar(bird.species.facing);
+    rotation.lookAt(side, ORIGIN, UP);
+    targetRotation
+      .setFromRotationMatrix(rotation)
+      .multiply(yaw.setFromAxisAngle(UP, bird.species.yawCorrection))
+      .premultiply(roll.setFromAxisAngle(direction, -view.bank));
+
+    if (view.oriented) {
+      model.quaternion.rotateTowards(
+        targetRotation,
+        flight.maxTurnRate * delta
+      );
+    } else {
+      model.quaternion.copy(targetRotation);
+      view.oriented = true;
+    }
+  }
+
+  // Let the bird's flight pick the clip it plays and how fast
+  updateAnimation({ bird, animator, bank, flapRate }, delta) {
+    const speed = bird.velocity.length();
+    animator.update(delta, {
+      speed,
+      maxSpeed: bird.getMaxSpeed(),
+      pitch: speed > 0 ? bird.velocity.y / speed : 0,
+      bank,
+      rate: flapRate,
+    });
+  }
+
+  // Stop adding models still loading to the scene, which is being torn down
+  dispose() {
+    this.disposed = true;
+  }
+
+  // Change any of DETAIL_SETTINGS
+  setDetail(values) {
+    Object.assign(this.detail, values);
+    this.loadedBirdRenderers.forEach((birdRenderer) =>
+      birdRenderer.setLodDistance(this.detail.lodDistance)
+    );
+  }
+
+  // Turn and animate the birds, then push their transforms and clip playback
+  // to the instanced meshes. Without a viewpoint, the camera's position,
+  // every flock and bird counts as near.
+  update(delta, viewpoint = null) {
+    const { distantFlockDistance, distantFlockInterval } = this.detail;
+    this.frame++;
+
+    // Seconds to advance each flock by this frame; distant flocks take
+    // turns, by id, so their updates spread across frames
+    const elapsed = new Map();
+    this.flockGroups.forEach((group, flock) => {
+      const waited = (this.flockWaits.get(flock) || 0) + delta;
+      const distant =
+        viewpoint !== null &&
+        viewpoint.distanceTo(flock.center) > distantFlockDistance;
+      if (
+        !distant ||
+        this.frame % distantFlockInterval === flock.id % distantFlockInterval
+      ) {
+        elapsed.set(flock, waited);
+        this.flockWaits.set(flock, 0);
+      } else {
+        this.flockWaits.set(flock, waited);
+      }
+    });
+
+    this.birdViews.forEach((view) => {
+      const flockDelta = elapsed.get(view.bird.flock);
+      if (flockDelta !== undefined) {
+        this.updateOrientation(view, flockDelta);
+        this.updateAnimation(view, flockDelta);
+      }
+    });
+    this.loadedBirdRenderers.forEach((birdRenderer) =>
+      birdRenderer.update(viewpoint)
+    );
+  }
+}
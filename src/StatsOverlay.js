@@ -0,0 +1,42 @@
+// Small on-screen readout of frame rate, frame time and the quality tier in
+// use, plus whatever else getStats() returns as { label: value }.
+
+// Seconds between refreshes
+const REFRESH_INTERVAL = 0.5;
+
+export default class StatsOverlay {
+  constructor(parent, governor, getStats = () => ({})) {
+    this.governor = governor;
+    this.getStats = getStats;
+    this.frames = 0;
+    this.elapsed = 0;
+
+    this.element = document.createElement("div");
+    this.element.className = "flocker-stats";
+    parent.appendChild(this.element);
+  }
+
+  update(delta) {
+    this.frames++;
+    this.elapsed += delta;
+    if (this.elapsed < REFRESH_INTERVAL) return;
+
+    const fps = this.frames / this.elapsed;
+    this.frames = 0;
+    this.elapsed = 0;
+
+    const { tier, settings } = this.governor;
+    const lines = [
+      `${fps.toFixed(0)} fps, ${(1000 / fps).toFixed(1)} ms`,
+      `Quality: ${tier.name}` + (settings.mode === "auto" ? " (auto)" : ""),
+    ];
+    for (const [label, value] of Object.entries(this.getStats())) {
+      lines.push(`${label}: ${value}`);
+    }
+    this.element.textContent = lines.join("\n");
+  }
+
+  dispose() {
+    this.element.remove();
+  }
+}
@@ -0,0 +1,265 @@
+import {
+  BufferAttribute,
+  BufferGeometry,
+  Group,
+  Line,
+  LineBasicMaterial,
+  LineLoop,
+  LineSegments,
+  Plane,
+  Points,
+  PointsMaterial,
+  Raycaster,
+  SphereBufferGeometry,
+  Vector2,
+  Vector3,
+  WireframeGeometry,
+} from "THREE";
+
+// Lets a presenter direct the flocks with the mouse or a finger:
+//   attract / repel  while pressed, a force field follows the pointer
+//   waypoints        each click adds a waypoint to the chosen flock's path
+// The pointer is projected onto the plane through the point the camera
+// orbits, facing the camera. Orbiting is switched off while a field mode is
+// on, since dragging moves the field instead.
+
+// Steering settings, editable live from the tuning panel
+export const STEERING_SETTINGS = {
+  mode: "off",
+  // Field size, and its pull (or push) at the center
+  radius: 25,
+  strength: 600,
+  // Index into the simulation's flocks that waypoints are added for
+  flock: 0,
+};
+
+export const STEERING_MODES = ["off", "attract", "repel", "waypoints"];
+
+// Pointer travel, in pixels, beyond which a press is a drag and not a click
+const CLICK_TOLERANCE = 5;
+
+const FIELD_COLORS = { attract: 0x66bb6a, repel: 0xef5350 };
+const PATH_COLOR = 0x4dd0e1;
+
+const normal = new Vector3();
+
+export default class SteeringControls {
+  constructor(
+    camera,
+    domElement,
+    controls,
+    simulation,
+    scene,
+    settings = STEERING_SETTINGS
+  ) {
+    this.camera = camera;
+    this.domElement = domElement;
+    this.controls = controls;
+    this.simulation = simulation;
+    this.scene = scene;
+    this.settings = settings;
+
+    this.raycaster = new Raycaster();
+    this.pointer = new Vector2();
+    this.plane = new Plane();
+    this.pressedAt = null;
+    this.fieldActive = false;
+
+    // Flock -> Group drawing its waypoint path
+    this.paths = new Map();
+
+    this.fieldMarker = new LineSegments(
+      new WireframeGeometry(new SphereBufferGeometry(1, 16, 10)),
+      new LineBasicMaterial({ transparent: true, opacity: 0.4, fog: false })
+    );
+    this.fieldMarker.visible = false;
+    scene.add(this.fieldMarker);
+
+    simulation
+      .on("waypointsChanged", (flock) => this.drawPath(flock))
+      .on("flockRemoved", (flock) => this.removePath(flock));
+    simulation.flocks.forEach((flock) => this.drawPath(flock));
+
+    // Bound once so dispose() can remove them
+    this.handlers = {
+      pointerdown: (event) => this.onPointerDown(event),
+      pointermove: (event) => this.onPointerMove(event),
+      pointerup: (event) => this.onPointerUp(event),
+      pointercancel: () => this.releaseField(),
+    };
+    for (const [type, handler] of Object.entries(this.handlers)) {
+      domElement.addEventListener(type, handler);
+    }
+
+    this.setMode(settings.mode);
+  }
+
+  // Remove the listeners; markers and paths go with the scene
+  dispose() {
+    for (const [type, handler] of Object.entries(this.handlers)) {
+      this.domElement.removeEventListener(type, handler);
+    }
+    this.releaseField();
+  }
+
+  get fieldMode() {
+    const { mode } = this.settings;
+    return mode === "attract" || mode === "repel";
+  }
+
+  setMode(mode) {
+    if (!STEERING_MODES.includes(mode)) {
+      throw new Error(`Unknown steering mode "${mode}"`);
+    }
+    this.settings.mode = mode;
+    this.releaseField();
+    this.controls.enabled = !this.fieldMode;
+  }
+
+  // The flock picked in the settings, wrapping around as flocks come and go
+  getFlock() {
+    const { flocks } = this.simulation;
+    if (flocks.length === 0) return null;
+    const index = Math.round(this.settings.flock);
+    return flocks[((index % flocks.length) + flocks.length) % flocks.length];
+  }
+
+  onPointerDown(event) {
+    this.pressedAt = { x: event.clientX, y: event.clientY };
+    if (this.fieldMode) {
+      this.domElement.setPointerCapture(event.pointerId);
+      this.fieldActive = true;
+      this.moveField(event);
+    }
+  }
+
+  onPointerMove(event) {
+    if (this.fieldActive) {
+      this.moveField(event);
+    }
+  }
+
+  onPointerUp(event) {
+    const pressedAt = this.pressedAt;
+    this.pressedAt = null;
+    this.releaseField();
+
+    if (
+      this.settings.mode === "waypoints" &&
+      pressedAt &&
+      Math.hypot(event.clientX - pressedAt.x, event.clientY - pressedAt.y) <=
+        CLICK_TOLERANCE
+    ) {
+      this.addWaypoint(event);
+    }
+  }
+
+  // Where the pointer meets the plane the camera orbits in, or null
+  project(event, target) {
+    const rect = this.domElement.getBoundingClientRect();
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+
+    this.camera.getWorldDirection(normal).negate();
+    this.plane.setFromNormalAndCoplanarPoint(normal, this.controls.target);
+    return this.raycaster.ray.intersectPlane(this.plane, target);
+  }
+
+  moveField(event) {
+    const position = this.project(event, this.fieldMarker.position);
+    if (!position) return;
+
+    const { mode, radius, strength } = this.settings;
+    this.simulation.setForceFields([
+      {
+        position,
+        radius,
+        strength: mode === "repel" ? -strength : strength,
+      },
+    ]);
+
+    this.fieldMarker.material.color.setHex(FIELD_COLORS[mode]);
+    this.fieldMarker.scale.setScalar(radius);
+    this.fieldMarker.visible = true;
+  }
+
+  releaseField() {
+    if (this.fieldActive) {
+      this.simulation.setForceFields([]);
+    }
+    this.fieldActive = false;
+    this.fieldMarker.visible = false;
+  }
+
+  addWaypoint(event) {
+    const flock = this.getFlock();
+    const point = this.project(event, new Vector3());
+    if (!flock || !point) return;
+
+    this.simulation.setWaypoints(
+      flock,
+      [...flock.waypoints, point],
+      flock.waypointIndex
+    );
+  }
+
+  clearWaypoints(flock = this.getFlock()) {
+    if (flock) {
+      this.simulation.setWaypoints(flock, []);
+    }
+  }
+
+  clearAllWaypoints() {
+    this.simulation.flocks.forEach((flock) => this.clearWaypoints(flock));
+  }
+
+  // A line through the flock's waypoints, closed when paths loop, with a dot
+  // on each
+  drawPath(flock) {
+    this.removePath(flock);
+    if (flock.waypoints.length === 0) return;
+
+    const positions = new Float32Array(flock.waypoints.length * 3);
+    flock.waypoints.forEach((point, i) => {
+      positions[i * 3] = point.x;
+      positions[i * 3 + 1] = point.y;
+      positions[i * 3 + 2] = point.z;
+    });
+    const geometry = new BufferGeometry();
+    geometry.addAttribute("position", new BufferAttribute(positions, 3));
+
+    const material = new LineBasicMaterial({ color: PATH_COLOR, fog: false });
+    const LineType = this.simulation.settings.waypoints.loop ? LineLoop : Line;
+    const path = new Group();
+    path.name = `waypoints-${flock.id}`;
+    path.add(
+      new LineType(geometry, material),
+      new Points(
+        geometry,
+        new PointsMaterial({
+          color: PATH_COLOR,
+          size: 8,
+          sizeAttenuation: false,
+          fog: false,
+        })
+      )
+    );
+    this.paths.set(flock, path);
+    this.scene.add(path);
+  }
+
+  removePath(flock) {
+    const path = this.paths.get(flock);
+    if (!path) return;
+
+    this.scene.remove(path);
+    path.traverse((object) => {
+      if (object.geometry) object.geometry.dispose();
+      if (object.material) object.material.dispose();
+    });
+    this.paths.delete(flock);
+  }
+}
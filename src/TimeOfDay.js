@@ -0,0 +1,234 @@
+import { Color, Vector3 } from "THREE";
+
+// One clock for the whole sky. Given an hour of the day it works out where
+// the sun is and blends a palette for the sky gradient, fog, clouds and each
+// light from the keyframes below. Nothing here touches the scene; the caller
+// copies getState() onto its lights and materials.
+
+// Clock settings, editable live from the tuning panel
+export const TIME_OF_DAY_SETTINGS = {
+  // Hour of the day, 0 to 24; the default has the scene's original colors
+  time: 20.5,
+  // Hours that pass per second, 0 to hold the current time
+  speed: 0,
+};
+
+// Palettes at times through the day, in hour order. Lights are the sun (or
+// moon), a sky/ground hemisphere, a rim light behind the birds and a fill
+// from below; visibility scales the fog range.
+const KEYFRAMES = [
+  {
+    hour: 0,
+    skyTop: "#03030f",
+    skyBottom: "#0d1030",
+    fog: "#0d1030",
+    cloud: "#5a5f80",
+    sun: "#8ea0d8",
+    sunIntensity: 0.15,
+    hemisphereSky: "#5060a0",
+    hemisphereGround: "#1a0a30",
+    hemisphereIntensity: 0.1,
+    rim: "#9fb0e0",
+    rimIntensity: 0.3,
+    fill: "#3a2a6a",
+    fillIntensity: 0.1,
+    visibility: 0.7,
+  },
+  // Still night, but the sky starts to lift
+  {
+    hour: 4.5,
+    skyTop: "#05061a",
+    skyBottom: "#1a1a48",
+    fog: "#15163a",
+    cloud: "#6a6a90",
+    sun: "#8ea0d8",
+    sunIntensity: 0.15,
+    hemisphereSky: "#5060a0",
+    hemisphereGround: "#1a0a30",
+    hemisphereIntensity: 0.1,
+    rim: "#9fb0e0",
+    rimIntensity: 0.3,
+    fill: "#3a2a6a",
+    fillIntensity: 0.1,
+    visibility: 0.7,
+  },
+  {
+    hour: 5.5,
+    skyTop: "#1f2160",
+    skyBottom: "#e08070",
+    fog: "#8a5a78",
+    cloud: "#ffc2a8",
+    sun: "#ff9a60",
+    sunIntensity: 0.4,
+    hemisphereSky: "#c090b0",
+    hemisphereGround: "#3a1a40",
+    hemisphereIntensity: 0.2,
+    rim: "#ffb080",
+    rimIntensity: 0.5,
+    fill: "#7e57c2",
+    fillIntensity: 0.15,
+    visibility: 0.85,
+  },
+  {
+    hour: 8,
+    skyTop: "#3f74c8",
+    skyBottom: "#a8cdef",
+    fog: "#9fc0e0",
+    cloud: "#ffffff",
+    sun: "#fff0d8",
+    sunIntensity: 1,
+    hemisphereSky: "#bcdcff",
+    hemisphereGround: "#50603a",
+    hemisphereIntensity: 0.4,
+    rim: "#fff4e0",
+    rimIntensity: 0.5,
+    fill: "#90a0b0",
+    fillIntensity: 0.2,
+    visibility: 1.2,
+  },
+  {
+    hour: 13,
+    skyTop: "#2a66d0",
+    skyBottom: "#9fd0ff",
+    fog: "#b0d4f0",
+    cloud: "#ffffff",
+    sun: "#ffffff",
+    sunIntensity: 1.3,
+    hemisphereSky: "#cfe6ff",
+    hemisphereGround: "#5a6a40",
+    hemisphereIntensity: 0.5,
+    rim: "#ffffff",
+    rimIntensity: 0.4,
+    fill: "#a0b0c0",
+    fillIntensity: 0.2,
+    visibility: 1.4,
+  },
+  {
+    hour: 17.5,
+    skyTop: "#3a5aa8",
+    skyBottom: "#f0b070",
+    fog: "#c0a090",
+    cloud: "#fff0d8",
+    sun: "#ffc080",
+    sunIntensity: 0.9,
+    hemisphereSky: "#e0c0a0",
+    hemisphereGround: "#4a3040",
+    hemisphereIntensity: 0.35,
+    rim: "#ffd0a0",
+    rimIntensity: 0.6,
+    fill: "#9a70c0",
+    fillIntensity: 0.2,
+    visibility: 1.1,
+  },
+  {
+    hour: 19,
+    skyTop: "#2a1a5a",
+    skyBottom: "#c0507a",
+    fog: "#5a2a70",
+    cloud: "#ffb0c0",
+    sun: "#ff7050",
+    sunIntensity: 0.4,
+    hemisphereSky: "#c0a0e0",
+    hemisphereGround: "#4a148c",
+    hemisphereIntensity: 0.25,
+    rim: "#ffc0d0",
+    rimIntensity: 0.6,
+    fill: "#7e57c2",
+    fillIntensity: 0.2,
+    visibility: 1,
+  },
+  // The scene's original look
+  {
+    hour: 20.5,
+    skyTop: "#0c0a2a",
+    skyBottom: "#1a237e",
+    fog: "#1a237e",
+    cloud: "#ffffff",
+    sun: "#ffffff",
+    sunIntensity: 0.3,
+    hemisphereSky: "#aaccff",
+    hemisphereGround: "#4a148c",
+    hemisphereIntensity: 0.2,
+    rim: "#d0e0ff",
+    rimIntensity: 0.6,
+    fill: "#7e57c2",
+    fillIntensity: 0.2,
+    visibility: 1,
+  },
+];
+
+const COLOR_KEYS = [
+  "skyTop",
+  "skyBottom",
+  "fog",
+  "cloud",
+  "sun",
+  "hemisphereSky",
+  "hemisphereGround",
+  "rim",
+  "fill",
+];
+const NUMBER_KEYS = [
+  "sunIntensity",
+  "hemisphereIntensity",
+  "rimIntensity",
+  "fillIntensity",
+  "visibility",
+];
+
+// Keyframe colors parsed once
+const PALETTES = KEYFRAMES.map((keyframe) => {
+  const palette = { ...keyframe };
+  COLOR_KEYS.forEach((key) => (palette[key] = new Color(keyframe[key])));
+  return palette;
+});
+
+// Tilt of the sun's path toward the viewer, so it isn't edge-on at noon
+const SUN_PATH_TILT = 0.35;
+
+export default class TimeOfDay {
+  constructor(settings = TIME_OF_DAY_SETTINGS) {
+    this.settings = settings;
+
+    // Reused by getState(); sunDirection points toward the sun, or toward
+    // the moon while the sun is down, and is always above the horizon
+    this.state = { sunDirection: new Vector3(), sunUp: true };
+    COLOR_KEYS.forEach((key) => (this.state[key] = new Color()));
+  }
+
+  update(delta) {
+    const settings = this.settings;
+    if (settings.speed > 0) {
+      settings.time = (settings.time + delta * settings.speed) % 24;
+    }
+  }
+
+  // The palette and sun direction for the current time
+  getState() {
+    const state = this.state;
+    const hour = ((this.settings.time % 24) + 24) % 24;
+
+    // Blend between the keyframes either side, wrapping past midnight
+    let next = PALETTES.findIndex((palette) => palette.hour > hour);
+    if (next === -1) next = 0;
+    const from = PALETTES[(next + PALETTES.length - 1) % PALETTES.length];
+    const to = PALETTES[next];
+    const span = (to.hour - from.hour + 24) % 24 || 24;
+    const t = ((hour - from.hour + 24) % 24) / span;
+
+    COLOR_KEYS.forEach((key) => state[key].copy(from[key]).lerp(to[key], t));
+    NUMBER_KEYS.forEach(
+      (key) => (state[key] = from[key] + (to[key] - from[key]) * t)
+    );
+
+    // The sun rises in the east (+x) at six and sets in the west at
+    // eighteen. The moon then crosses back west to east, so the light never
+    // jumps across the sky.
+    const angle = ((hour - 6) / 12) * Math.PI;
+    state.sunUp = Math.sin(angle) >= 0;
+    state.sunDirection
+      .set(Math.cos(angle), Math.abs(Math.sin(angle)), SUN_PATH_TILT)
+      .normalize();
+    return state;
+  }
+}
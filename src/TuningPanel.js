@@ -0,0 +1,315 @@
+import { validate } from "./sceneConfig.js";
+
+// In-page control panel for tuning the scene live.
+// Each section binds inputs to the properties of a plain object; presets
+// snapshot every bound object as JSON and are stored by name in localStorage.
+
+const PRESET_STORAGE_KEY = "flocker.presets";
+
+// What a preset may hold for a control. Sliders only bound what can be
+// dragged to, and scenes may set values beyond them, so any number will do.
+function controlSchema(control) {
+  if (control.type === "select") {
+    return { type: "string", enum: control.options };
+  }
+  if (control.type === "color") {
+    return { type: "string", pattern: /^#[0-9a-fA-F]{6}$/ };
+  }
+  return { type: "number" };
+}
+
+export default class TuningPanel {
+  constructor(parent) {
+    this.sections = [];
+
+    this.element = document.createElement("div");
+    this.element.className = "tuning-panel";
+
+    const toggle = document.createElement("button");
+    toggle.className = "tuning-panel-toggle";
+    toggle.textContent = "Tune";
+    toggle.addEventListener("click", () => {
+      this.element.classList.toggle("open");
+    });
+
+    this.body = document.createElement("div");
+    this.body.className = "tuning-panel-body";
+
+    this.element.append(toggle, this.body);
+    parent.appendChild(this.element);
+  }
+
+  // Bind a group of controls to properties of target. Each control is
+  // { key, label, min, max, step } for numbers, { key, label, type: "color" }
+  // for "#rrggbb" strings or { key, label, type: "select", options } for a
+  // choice of strings. onChange(key, value) runs after every edit.
+  addSection(id, title, target, controls, onChange = () => {}) {
+    const fieldset = this.createFieldset(title);
+    const inputs = new Map();
+
+    for (const control of controls) {
+      const row = document.createElement("label");
+      row.className = "tuning-panel-row";
+
+      const name = document.createElement("span");
+      name.textContent = control.label;
+
+      const input = document.createElement(
+        control.type === "select" ? "select" : "input"
+      );
+      const readout = document.createElement("output");
+
+      if (control.type === "select") {
+        for (const value of control.options) {
+          const option = document.createElement("option");
+          option.value = value;
+          option.textContent = value;
+          input.appendChild(option);
+        }
+      } else if (control.type === "color") {
+        input.type = "color";
+      } else {
+        input.type = "range";
+        input.min = control.min;
+        input.max = control.max;
+        input.step = control.step;
+      }
+
+      input.addEventListener(
+        control.type === "select" ? "change" : "input",
+        () => {
+          const value =
+            control.type === "color" || control.type === "select"
+              ? input.value
+              : parseFloat(input.value);
+          target[control.key] = value;
+          readout.textContent = input.value;
+          onChange(control.key, value);
+        }
+      );
+
+      row.append(name, input, readout);
+      fieldset.appendChild(row);
+      inputs.set(control.key, { input, readout });
+    }
+
+    const section = { id, target, controls, onChange, inputs };
+    this.sections.push(section);
+    this.refresh(section);
+  }
+
+  dispose() {
+    this.element.remove();
+  }
+
+  // A row of buttons; each action is { label, onClick }
+  addActions(title, actions) {
+    const fieldset = this.createFieldset(title);
+
+    for (const action of actions) {
+      const button = document.createElement("button");
+      button.textContent = action.label;
+      button.addEventListener("click", action.onClick);
+      fieldset.appendChild(button);
+    }
+  }
+
+  // Save, load, delete, export and import named presets
+  addPresets() {
+    const fieldset = this.createFieldset("Presets");
+
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.placeholder = "Preset name";
+
+    const select = document.createElement("select");
+    const fileInput = document.createElement("input");
+    fileInput.type = "file";
+    fileInput.accept = "application/json,.json";
+    fileInput.hidden = true;
+
+    const refreshOptions = () => {
+      select.innerHTML = "";
+      for (const name of Object.keys(this.readPresets())) {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+      }
+    };
+
+    const buttons = {
+      Save: () => {
+        const name = nameInput.value.trim();
+        if (!name) return;
+        this.writePresets({ ...this.readPresets(), [name]: this.getPreset() });
+        refreshOptions();
+        select.value = name;
+      },
+      Load: () => {
+        const preset = this.readPresets()[select.value];
+        if (!preset) return;
+        try {
+          this.applyPreset(preset);
+        } catch (error) {
+          console.error(`Could not load preset "${select.value}":`, error);
+        }
+      },
+      Delete: () => {
+        const presets = this.readPresets();
+        delete presets[select.value];
+        this.writePresets(presets);
+        refreshOptions();
+      },
+      Export: () => {
+        const name = select.value || nameInput.value.trim() || "preset";
+        const preset = this.readPresets()[select.value] || this.getPreset();
+        const blob = new Blob([JSON.stringify(preset, null, 2)], {
+          type: "application/json",
+        });
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = `${name}.json`;
+        link.click();
+        // The download may not have started by the time click() returns
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+      },
+      Import: () => fileInput.click(),
+    };
+
+    fileInput.addEventListener("change", () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+
+      file
+        .text()
+        .then((text) => {
+          const preset = JSON.parse(text);
+          this.checkPreset(preset);
+          const name = file.name.replace(/\.json$/i, "");
+          this.writePresets({ ...this.readPresets(), [name]: preset });
+          this.applyPreset(preset);
+          refreshOptions();
+          select.value = name;
+        })
+        .catch((error) => {
+          console.error(`Could not import preset "${file.name}":`, error);
+        })
+        .then(() => {
+          fileInput.value = "";
+        });
+    });
+
+    fieldset.append(nameInput, select);
+    for (const [label, onClick] of Object.entries(buttons)) {
+      const button = document.createElement("button");
+      button.textContent = label;
+      button.addEventListener("click", onClick);
+      fieldset.appendChild(button);
+    }
+    fieldset.appendChild(fileInput);
+
+    refreshOptions();
+  }
+
+  // Current values of every section, keyed by section id
+  getPreset() {
+    const preset = {};
+    for (const { id, target, controls } of this.sections) {
+      preset[id] = {};
+      for (const { key } of controls) {
+        preset[id][key] = target[key];
+      }
+    }
+    return preset;
+  }
+
+  // Throw, listing every problem, unless each value in preset fits the
+  // control it's for. Sections this panel doesn't have are let through,
+  // since how many cloud layers there are depends on the scene.
+  checkPreset(preset) {
+    const problems = [];
+    if (!preset || typeof preset !== "object" || Array.isArray(preset)) {
+      problems.push(
+        `preset: expected an object, got ${JSON.stringify(preset)}`
+      );
+    } else {
+      for (const { id, controls } of this.sections) {
+        if (!(id in preset)) continue;
+
+        const properties = {};
+        for (const control of controls) {
+          properties[control.key] = controlSchema(control);
+        }
+        validate(
+          preset[id],
+          { type: "object", properties },
+          `preset.${id}`,
+          problems
+        );
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Preset is invalid:\n  ${problems.join("\n  ")}`);
+    }
+  }
+
+  // Apply the values a preset holds, once checkPreset() has passed it;
+  // settings a preset leaves out keep their current values
+  applyPreset(preset) {
+    this.checkPreset(preset);
+    for (const section of this.sections) {
+      const values = preset[section.id];
+      if (!values) continue;
+
+      for (const { key } of section.controls) {
+        if (key in values) {
+          section.target[key] = values[key];
+          section.onChange(key, values[key]);
+        }
+      }
+      this.refresh(section);
+    }
+  }
+
+  // Show values changed from outside the panel
+  refreshSection(id) {
+    const section = this.sections.find((s) => s.id === id);
+    if (section) {
+      this.refresh(section);
+    }
+  }
+
+  refresh(section) {
+    for (const [key, { input, readout }] of section.inputs) {
+      input.value = section.target[key];
+      readout.textContent = input.value;
+    }
+  }
+
+  readPresets() {
+    try {
+      return JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  writePresets(presets) {
+    try {
+      localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+    } catch (error) {
+      // Storage may be full or disabled; presets just won't persist
+    }
+  }
+
+  createFieldset(title) {
+    const fieldset = document.createElement("fieldset");
+    const legend = document.createElement("legend");
+    legend.textContent = title;
+    fieldset.appendChild(legend);
+    this.body.appendChild(fieldset);
+    return fieldset;
+  }
+}
@@ -0,0 +1,394 @@
+import Emitter from "./simulation/Emitter.js";
+import Bird from "./simulation/Bird.js";
+import Flock from "./simulation/Flock.js";
+import Simulation from "./simulation/Simulation.js";
+import Vec3 from "./simulation/Vec3.js";
+import { createDefaultSettings } from "./simulation/settings.js";
+import { readFrame } from "./simulation/stateBuffer.js";
+import { runCommand } from "./simulation/commands.js";
+import { getSpecies } from "./species.js";
+
+// Stands in for a Simulation whose stepping happens in simulationWorker.js.
+// Calls are queued and sent to the worker in one batch per task; the worker
+// transfers back a buffer of positions and velocities, which is copied onto
+// mirrored birds, flocks and predators here. Those mirrors, and the events
+// fired as they come and go, look the same as a local Simulation's, so a
+// SimulationView can draw either.
+//
+// Changes show up once the worker answers, usually a frame later, so the
+// mutating methods return nothing.
+//
+// Should the worker fail, say because its script won't load, it is stopped
+// and an in-thread Simulation with the same seed, settings and obstacles takes
+// over. Its birds, flocks and predators stand in for the mirrors, which are
+// removed first, and commands run on it straight away. The world starts over
+// empty, so "fallback" is emitted for the owner to populate it again.
+
+// Once this many steps are waiting on a busy worker, backlogged says so and
+// the owner holds further steps back until it catches up, so a slow worker
+// slows the flocks down rather than falling further behind
+const MAX_QUEUED_STEPS = 10;
+
+const INITIAL_BUFFER_LENGTH = 4096;
+
+// Forwarded from the in-thread simulation after a fallback
+const SIMULATION_EVENTS = [
+  "step",
+  "flockAdded",
+  "flockRemoved",
+  "birdAdded",
+  "birdRemoved",
+  "birdMoved",
+  "predatorAdded",
+  "predatorRemoved",
+  "waypointsChanged",
+];
+
+export default class WorkerSimulation extends Emitter {
+  // The worker builds its own copy of the obstacles; these are only stepped
+  // here after a fallback
+  constructor(
+    worker,
+    { seed = 1, settings = createDefaultSettings(), obstacles = [] } = {}
+  ) {
+    super();
+    this.worker = worker;
+    this.settings = settings;
+    this.currentSeed = seed;
+    this.obstacles = obstacles;
+    // The in-thread Simulation in use once the worker has failed
+    this.local = null;
+
+    // Mirrors of the worker's state, by id
+    this.flocks = [];
+    this.predators = [];
+    this.forceFields = [];
+    this.flocksById = new Map();
+    this.birdsById = new Map();
+    this.predatorsById = new Map();
+
+    // Commands waiting for the worker, and the buffer it writes state into;
+    // the buffer is away with the worker while a batch is running
+    this.queue = [];
+    this.queuedSteps = 0;
+    this.flushScheduled = false;
+    this.busy = false;
+    this.buffer = new Float32Array(INITIAL_BUFFER_LENGTH);
+    // Waiting on whenIdle()
+    this.idleCallbacks = [];
+
+    worker.addEventListener("message", ({ data }) => {
+      if (data.type === "state") {
+        this.receive(data);
+      }
+    });
+    worker.addEventListener("error", (event) => {
+      console.warn(
+        "Flock simulation worker failed, stepping on the main thread:",
+        event.message
+      );
+      this.fallBack();
+    });
+    worker.postMessage({ type: "init", seed, settings });
+  }
+
+  get seed() {
+    return this.currentSeed;
+  }
+
+  // True while the worker is far enough behind that more steps should wait
+  get backlogged() {
+    return this.busy && this.queuedSteps >= MAX_QUEUED_STEPS;
+  }
+
+  step(dt) {
+    this.queuedSteps++;
+    this.enqueue("step", dt);
+  }
+
+  getAllBirds() {
+    const birds = [];
+    for (const flock of this.flocks) {
+      birds.push(...flock.birds);
+    }
+    return birds;
+  }
+
+  spawnFlock(species, count, boundary, region) {
+    this.enqueue("spawnFlock", species, count, boundary, region);
+  }
+
+  spawnBirds(flock, count) {
+    this.enqueue("spawnBirds", flock.id, count);
+  }
+
+  removeFlock(flock) {
+    this.enqueue("removeFlock", flock.id);
+  }
+
+  removeBird(bird) {
+    this.enqueue("removeBird", bird.id);
+  }
+
+  addPredator() {
+    this.enqueue("addPredator");
+  }
+
+  removePredator(predator = this.predators[this.predators.length - 1]) {
+    if (predator) {
+      this.enqueue("removePredator", predator.id);
+    }
+  }
+
+  reset(seed = this.currentSeed) {
+    this.currentSeed = seed;
+    this.enqueue("reset", seed);
+  }
+
+  clearFlocks() {
+    this.enqueue("clearFlocks");
+  }
+
+  // Frames usually view a much larger recording buffer, so copy out just
+  // this step rather than cloning all of it across
+  applyFrame(frame, speciesIds, restart = false) {
+    const copy = {};
+    for (const key of Object.keys(frame)) {
+      copy[key] = frame[key].slice();
+    }
+    this.enqueue("applyFrame", copy, speciesIds, restart);
+  }
+
+  // Resolves once the worker has answered every command sent or queued so
+  // far, for callers that need a step's result before going on
+  whenIdle() {
+    if (!this.busy && this.queue.length === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.idleCallbacks.push(resolve));
+  }
+
+  // Stop the worker; this simulation can't be used afterwards
+  dispose() {
+    this.worker.terminate();
+    this.queue = [];
+  }
+
+  setForceFields(fields) {
+    this.forceFields = fields.map(({ position, radius, strength }) => ({
+      position: new Vec3().copy(position),
+      radius,
+      strength,
+    }));
+    this.enqueue(
+      "setForceFields",
+      this.forceFields.map(({ position: { x, y, z }, radius, strength }) => ({
+        position: { x, y, z },
+        radius,
+        strength,
+      }))
+    );
+  }
+
+  setDistantFlocks(viewpoint, distance, interval) {
+    this.enqueue(
+      "setDistantFlocks",
+      viewpoint && { x: viewpoint.x, y: viewpoint.y, z: viewpoint.z },
+      distance,
+      interval
+    );
+  }
+
+  setWaypoints(flock, points, index = 0) {
+    this.enqueue(
+      "setWaypoints",
+      flock.id,
+      points.map(({ x, y, z }) => ({ x, y, z })),
+      index
+    );
+  }
+
+  enqueue(...command) {
+    if (this.local) {
+      runCommand(this.local, command);
+      return;
+    }
+
+    this.queue.push(command);
+    if (!this.flushScheduled) {
+      this.flushScheduled = true;
+      Promise.resolve().then(() => this.flush());
+    }
+  }
+
+  flush() {
+    this.flushScheduled = false;
+    if (this.busy || this.queue.length === 0) return;
+
+    const buffer = this.buffer.buffer;
+    this.worker.postMessage(
+      {
+        type: "run",
+        settings: this.settings,
+        commands: this.queue,
+        buffer,
+      },
+      [buffer]
+    );
+    this.queue = [];
+    this.queuedSteps = 0;
+    this.buffer = null;
+    this.busy = true;
+  }
+
+  // Swap the worker for an in-thread simulation; see the notes at the top
+  fallBack() {
+    if (this.local) return;
+
+    this.worker.terminate();
+    this.queue = [];
+    this.queuedSteps = 0;
+    this.busy = false;
+
+    for (const flock of this.flocks.slice()) {
+      for (const bird of flock.birds.slice()) {
+        this.applyEvent("birdRemoved", bird.id);
+      }
+      this.applyEvent("flockRemoved", flock.id);
+    }
+    for (const predator of this.predators.slice()) {
+      this.applyEvent("predatorRemoved", predator.id);
+    }
+
+    const local = new Simulation({
+      seed: this.currentSeed,
+      settings: this.settings,
+      obstacles: this.obstacles,
+    });
+    SIMULATION_EVENTS.forEach((type) =>
+      local.on(type, (...args) => this.emit(type, ...args))
+    );
+    this.local = local;
+    this.flocks = local.flocks;
+    this.predators = local.predators;
+
+    const callbacks = this.idleCallbacks;
+    this.idleCallbacks = [];
+    callbacks.forEach((resolve) => resolve());
+    this.emit("fallback");
+  }
+
+  receive({ events, frames, buffer }) {
+    this.buffer = new Float32Array(buffer);
+    this.busy = false;
+
+    let next = 0;
+    frames.forEach(({ offset, stepped }, index) => {
+      for (; next < events.length && events[next][0] === index; next++) {
+        this.applyEvent(events[next][1], events[next][2]);
+      }
+
+      readFrame(
+        this.buffer,
+        offset,
+        this.birdsById,
+        this.flocksById,
+        this.predatorsById
+      );
+      if (stepped) {
+        this.emit("step");
+      }
+    });
+
+    // Anything queued while the worker was busy goes out now
+    this.flush();
+    if (!this.busy) {
+      const callbacks = this.idleCallbacks;
+      this.idleCallbacks = [];
+      callbacks.forEach((resolve) => resolve());
+    }
+  }
+
+  applyEvent(type, data) {
+    switch (type) {
+      case "flockAdded": {
+        // A flock with a boundary of its own brings a copy; the rest share ours
+        const flock = new Flock(
+          data.id,
+          data.species,
+          new Vec3(),
+          data.boundary || this.settings.boundary
+        );
+        this.flocks.push(flock);
+        this.flocksById.set(flock.id, flock);
+        this.emit("flockAdded", flock);
+        break;
+      }
+      case "flockRemoved": {
+        const flock = this.flocksById.get(data);
+        this.flocks.splice(this.flocks.indexOf(flock), 1);
+        this.flocksById.delete(data);
+        this.emit("flockRemoved", flock);
+        break;
+      }
+      case "birdAdded": {
+        // Placed by the frame that follows
+        const flock = this.flocksById.get(data.flockId);
+        const bird = new Bird(
+          this,
+          data.id,
+          flock,
+          getSpecies(data.species),
+          new Vec3(),
+          new Vec3()
+        );
+        flock.addBird(bird);
+        this.birdsById.set(bird.id, bird);
+        this.emit("birdAdded", bird);
+        break;
+      }
+      case "birdRemoved": {
+        const bird = this.birdsById.get(data);
+        bird.flock.removeBird(bird);
+        this.birdsById.delete(data);
+        this.emit("birdRemoved", bird);
+        break;
+      }
+      case "birdMoved": {
+        const bird = this.birdsById.get(data.id);
+        const previous = bird.flock;
+        previous.removeBird(bird);
+        this.flocksById.get(data.flockId).addBird(bird);
+        this.emit("birdMoved", bird, previous);
+        break;
+      }
+      case "waypointsChanged": {
+        const flock = this.flocksById.get(data.id);
+        flock.setWaypoints(data.points, data.index);
+        this.emit("waypointsChanged", flock);
+        break;
+      }
+      case "predatorAdded": {
+        const predator = {
+          id: data,
+          position: new Vec3(),
+          previousPosition: new Vec3(),
+          velocity: new Vec3(),
+        };
+        this.predators.push(predator);
+        this.predatorsById.set(data, predator);
+        this.emit("predatorAdded", predator);
+        break;
+      }
+      case "predatorRemoved": {
+        const predator = this.predatorsById.get(data);
+        this.predators.splice(this.predators.indexOf(predator), 1);
+        this.predatorsById.delete(data);
+        this.emit("predatorRemoved", predator);
+        break;
+      }
+      default:
+        throw new Error(`Unknown simulation event "${type}"`);
+    }
+  }
+}
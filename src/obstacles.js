@@ -0,0 +1,202 @@
+import {
+  BoxGeometry,
+  Mesh,
+  PlaneBufferGeometry,
+  Quaternion,
+  Raycaster,
+  SphereGeometry,
+  Vector3,
+} from "THREE";
+
+// Static scene geometry the birds steer around.
+// Every obstacle answers probe(origin, direction, range, hit): is there a
+// surface within range along the ray, and if so how far and facing where.
+// Obstacles described by a signed distance function also push birds that end
+// up inside them back out to the surface.
+// Points and hit normals may be any {x, y, z} vector, so the three-free
+// simulation can probe these with its own vectors.
+
+// Sphere tracing gives up after this many steps or within this distance
+const MAX_TRACE_STEPS = 24;
+const SURFACE_EPSILON = 0.01;
+
+const scratch = new Vector3();
+const sample = new Vector3();
+
+// Shared logic for obstacles defined by a signed distance function, where
+// distance(point) is negative inside the obstacle
+class DistanceFieldObstacle {
+  probe(origin, direction, range, hit) {
+    let travelled = 0;
+
+    for (let i = 0; i < MAX_TRACE_STEPS && travelled <= range; i++) {
+      scratch.copy(origin).addScaledVector(direction, travelled);
+      const distance = this.distance(scratch);
+
+      if (distance < SURFACE_EPSILON) {
+        hit.distance = travelled;
+        this.normal(scratch, hit.normal);
+        return true;
+      }
+
+      travelled += distance;
+    }
+
+    return false;
+  }
+
+  // Move a point that has ended up inside back onto the surface
+  resolve(position) {
+    const distance = this.distance(position);
+    if (distance >= 0) return false;
+
+    this.normal(position, scratch);
+    position.addScaledVector(scratch, -distance);
+    return true;
+  }
+
+  // Outward surface normal near point, from central differences
+  normal(point, target) {
+    const e = 0.05;
+    const p = sample;
+    const dx =
+      this.distance(p.set(point.x + e, point.y, point.z)) -
+      this.distance(p.set(point.x - e, point.y, point.z));
+    const dy =
+      this.distance(p.set(point.x, point.y + e, point.z)) -
+      this.distance(p.set(point.x, point.y - e, point.z));
+    const dz =
+      this.distance(p.set(point.x, point.y, point.z + e)) -
+      this.distance(p.set(point.x, point.y, point.z - e));
+    // Dead center of a symmetric shape has no gradient; leave upward
+    if (dx === 0 && dy === 0 && dz === 0) {
+      return target.set(0, 1, 0);
+    }
+    return target.set(dx, dy, dz).normalize();
+  }
+}
+
+export class SphereObstacle extends DistanceFieldObstacle {
+  constructor(center, radius) {
+    super();
+    this.center = center.clone();
+    this.radius = radius;
+  }
+
+  distance(point) {
+    return point.distanceTo(this.center) - this.radius;
+  }
+
+  normal(point, target) {
+    return target.subVectors(point, this.center).normalize();
+  }
+
+  createMesh(material) {
+    const mesh = new Mesh(new SphereGeometry(this.radius, 24, 16), material);
+    mesh.position.copy(this.center);
+    return mesh;
+  }
+}
+
+// A box of the given full size, optionally rotated about its center
+export class BoxObstacle extends DistanceFieldObstacle {
+  constructor(center, size, rotation = new Quaternion()) {
+    super();
+    this.center = center.clone();
+    this.halfSize = size.clone().multiplyScalar(0.5);
+    this.rotation = rotation.clone();
+    this.inverseRotation = rotation.clone().inverse();
+  }
+
+  distance(point) {
+    // Work in the box's own frame, where it is axis aligned
+    const local = sample
+      .copy(point)
+      .sub(this.center)
+      .applyQuaternion(this.inverseRotation);
+    const qx = Math.abs(local.x) - this.halfSize.x;
+    const qy = Math.abs(local.y) - this.halfSize.y;
+    const qz = Math.abs(local.z) - this.halfSize.z;
+
+    const outside = Math.sqrt(
+      Math.max(qx, 0) ** 2 + Math.max(qy, 0) ** 2 + Math.max(qz, 0) ** 2
+    );
+    const inside = Math.min(Math.max(qx, qy, qz), 0);
+    return outside + inside;
+  }
+
+  createMesh(material) {
+    const size = this.halfSize.clone().multiplyScalar(2);
+    const mesh = new Mesh(new BoxGeometry(size.x, size.y, size.z), material);
+    mesh.position.copy(this.center);
+    mesh.quaternion.copy(this.rotation);
+    return mesh;
+  }
+}
+
+// Ground whose height at (x, z) comes from heightAt(x, z)
+export class HeightfieldObstacle extends DistanceFieldObstacle {
+  constructor(heightAt, width, depth, segments = 64) {
+    super();
+    this.heightAt = heightAt;
+    this.width = width;
+    this.depth = depth;
+    this.segments = segments;
+  }
+
+  // Vertical clearance, halved since steep slopes are closer than they look
+  distance(point) {
+    return (point.y - this.heightAt(point.x, point.z)) * 0.5;
+  }
+
+  createMesh(material) {
+    const geometry = new PlaneBufferGeometry(
+      this.width,
+      this.depth,
+      this.segments,
+      this.segments
+    );
+    geometry.rotateX(-Math.PI / 2);
+
+    const position = geometry.attributes.position;
+    for (let i = 0; i < position.count; i++) {
+      position.setY(i, this.heightAt(position.getX(i), position.getZ(i)));
+    }
+    geometry.computeVertexNormals();
+
+    return new Mesh(geometry, material);
+  }
+}
+
+// Any mesh, found by raycasting. Without a distance function there is no
+// push-out, so birds rely on seeing it coming.
+export class MeshObstacle {
+  constructor(mesh) {
+    this.mesh = mesh;
+    this.raycaster = new Raycaster();
+  }
+
+  probe(origin, direction, range, hit) {
+    this.raycaster.set(origin, direction);
+    this.raycaster.far = range;
+
+    const [intersection] = this.raycaster.intersectObject(this.mesh, true);
+    if (!intersection || !intersection.face) return false;
+
+    hit.distance = intersection.distance;
+    hit.normal.copy(
+      scratch
+        .copy(intersection.face.normal)
+        .transformDirection(intersection.object.matrixWorld)
+    );
+    return true;
+  }
+
+  resolve() {
+    return false;
+  }
+
+  createMesh() {
+    return this.mesh;
+  }
+}
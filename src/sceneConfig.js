@@ -0,0 +1,384 @@
+import Vec3 from "./simulation/Vec3.js";
+import { createDefaultSettings } from "./simulation/settings.js";
+import { BOUNDARY_MODES } from "./simulation/boundaries.js";
+import { SPECIES } from "./species.js";
+import {
+  CAMERA_MODES,
+  CAMERA_SETTINGS,
+  FLYTHROUGH_KEYFRAMES,
+} from "./CameraDirector.js";
+import { TIME_OF_DAY_SETTINGS } from "./TimeOfDay.js";
+import { CLOUD_LAYERS } from "./CloudLayers.js";
+
+// A whole scene described as JSON: which flocks to spawn and where, how the
+// birds behave, the sky and the camera. Pass ?scene=<url> to load one; any
+// part left out keeps the default scene's value. For example:
+//
+//   {
+//     "seed": 7,
+//     "flocks": [
+//       { "species": ["parrot"], "birds": 6, "count": 3,
+//         "region": { "center": [0, 10, 0], "size": [30, 10, 30] } },
+//       { "species": ["stork", "flamingo"], "birds": 4 }
+//     ],
+//     "behavior": { "params": { "maxSpeed": 14 }, "predator": { "count": 0 } },
+//     "boundary": { "mode": "sphere" },
+//     "environment": { "timeOfDay": { "time": 7, "speed": 0.05 } },
+//     "camera": { "mode": "frame", "fov": 50 }
+//   }
+//
+// Flock groups spawn count flocks of birds each, taking one flock from each
+// group in turn. A group's region is the box its flocks start in, size being
+// its full width on each axis; without one they start anywhere in the world.
+// A group's boundary, if given, replaces the shared one for its flocks.
+// behavior and boundary take any of the simulation settings (see
+// simulation/settings.js), vectors written as [x, y, z].
+
+export class SceneConfigError extends Error {
+  constructor(source, problems) {
+    super(
+      `Scene config${source ? ` ${source}` : ""} is invalid:\n  ` +
+        problems.join("\n  ")
+    );
+    this.name = "SceneConfigError";
+    this.source = source;
+    this.problems = problems;
+  }
+}
+
+// The scene as it runs without a config
+export const DEFAULT_SCENE = {
+  seed: 1,
+  flocks: [
+    { species: ["stork"], birds: 4, count: 5 },
+    { species: ["flamingo"], birds: 4, count: 5 },
+    { species: ["parrot"], birds: 4, count: 5 },
+    { species: ["stork", "flamingo"], birds: 4, count: 5 },
+    { species: ["parrot", "stork"], birds: 4, count: 5 },
+  ],
+  behavior: {},
+  boundary: {},
+  environment: {
+    fogNear: 60,
+    fogFar: 100,
+    cloudOpacity: 0.95,
+    // Multiplies every light's time-of-day intensity
+    lightIntensity: 1,
+    timeOfDay: { ...TIME_OF_DAY_SETTINGS },
+    clouds: CLOUD_LAYERS,
+  },
+  camera: {
+    fov: 60,
+    position: FLYTHROUGH_KEYFRAMES[0].position,
+    target: [0, 0, 0],
+    ...CAMERA_SETTINGS,
+    flythrough: FLYTHROUGH_KEYFRAMES,
+  },
+};
+
+// Schemas are a small subset of JSON Schema: type, properties, required,
+// items, minItems, maxItems, enum, minimum, maximum and pattern. Objects
+// reject keys they don't list, so typos are caught rather than ignored.
+
+const vector = {
+  type: "array",
+  items: { type: "number" },
+  minItems: 3,
+  maxItems: 3,
+};
+const color = { type: "string", pattern: /^#[0-9a-fA-F]{6}$/ };
+
+// Built from the default settings, so every setting can be given and nothing
+// else can
+function settingsSchema(value) {
+  if (value instanceof Vec3) return vector;
+  if (typeof value === "object") {
+    const properties = {};
+    for (const [key, child] of Object.entries(value)) {
+      properties[key] = settingsSchema(child);
+    }
+    return { type: "object", properties };
+  }
+  return { type: typeof value };
+}
+
+const { boundary: boundarySettings, ...behaviorSettings } =
+  createDefaultSettings();
+const behaviorSchema = settingsSchema(behaviorSettings);
+behaviorSchema.properties.predator.properties.target.enum = ["bird", "flock"];
+const boundarySchema = settingsSchema(boundarySettings);
+boundarySchema.properties.mode.enum = Object.keys(BOUNDARY_MODES);
+// Left unset by default to follow the world size and turn factor
+boundarySchema.properties.size = { type: "number", minimum: 0 };
+boundarySchema.properties.strength = { type: "number", minimum: 0 };
+
+const cloudLayerSchema = {
+  type: "object",
+  properties: {
+    depth: { type: "number" },
+    offset: {
+      type: "array",
+      items: { type: "number" },
+      minItems: 2,
+      maxItems: 2,
+    },
+    rotation: { type: "number" },
+    size: { type: "number", minimum: 0 },
+    noiseScale: { type: "number", minimum: 0 },
+    coverage: { type: "number", minimum: 0, maximum: 1 },
+    speed: { type: "number" },
+    tint: color,
+  },
+};
+
+const cameraProperties = {
+  fov: { type: "number", minimum: 1, maximum: 179 },
+  position: vector,
+  target: vector,
+  flythrough: {
+    type: "array",
+    minItems: 2,
+    items: {
+      type: "object",
+      properties: { position: vector, target: vector },
+      required: ["position", "target"],
+    },
+  },
+};
+for (const [key, value] of Object.entries(CAMERA_SETTINGS)) {
+  cameraProperties[key] = { type: typeof value };
+}
+cameraProperties.mode.enum = CAMERA_MODES;
+
+export const SCENE_SCHEMA = {
+  type: "object",
+  properties: {
+    seed: { type: "integer" },
+    flocks: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        properties: {
+          species: {
+            type: "array",
+            minItems: 1,
+            items: { type: "string", enum: Object.keys(SPECIES) },
+          },
+          birds: { type: "integer", minimum: 1 },
+          count: { type: "integer", minimum: 1 },
+          region: {
+            type: "object",
+            properties: { center: vector, size: vector },
+            required: ["center", "size"],
+          },
+          boundary: boundarySchema,
+        },
+        required: ["species", "birds"],
+      },
+    },
+    behavior: behaviorSchema,
+    boundary: boundarySchema,
+    environment: {
+      type: "object",
+      properties: {
+        fogNear: { type: "number", minimum: 0 },
+        fogFar: { type: "number", minimum: 0 },
+        cloudOpacity: { type: "number", minimum: 0, maximum: 1 },
+        lightIntensity: { type: "number", minimum: 0 },
+        timeOfDay: {
+          type: "object",
+          properties: {
+            time: { type: "number", minimum: 0, maximum: 24 },
+            speed: { type: "number", minimum: 0 },
+          },
+        },
+        clouds: { type: "array", items: cloudLayerSchema },
+      },
+    },
+    camera: { type: "object", properties: cameraProperties },
+  },
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+// Every way value breaks schema, each as "path: problem"
+export function validate(value, schema, path = "scene", problems = []) {
+  const type = typeOf(value);
+  const typeMatches =
+    schema.type === "integer"
+      ? Number.isInteger(value)
+      : type === schema.type && !(type === "number" && !isFinite(value));
+  if (!typeMatches) {
+    const expected =
+      schema.type === "integer"
+        ? "a whole number"
+        : `${/^[aeiou]/.test(schema.type) ? "an" : "a"} ${schema.type}`;
+    problems.push(
+      `${path}: expected ${expected}, got ${JSON.stringify(value)}`
+    );
+    return problems;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(
+      `${path}: ${JSON.stringify(value)} is not one of ${schema.enum.join(
+        ", "
+      )}`
+    );
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    problems.push(
+      `${path}: ${value} is below the minimum of ${schema.minimum}`
+    );
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    problems.push(
+      `${path}: ${value} is above the maximum of ${schema.maximum}`
+    );
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    problems.push(`${path}: ${JSON.stringify(value)} is not a #rrggbb color`);
+  }
+
+  if (type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push(`${path}: needs at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      problems.push(`${path}: takes at most ${schema.maxItems} items`);
+    }
+    value.forEach((item, i) =>
+      validate(item, schema.items, `${path}[${i}]`, problems)
+    );
+  }
+
+  if (type === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        problems.push(`${path}: missing "${key}"`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties[key]) {
+        validate(child, schema.properties[key], `${path}.${key}`, problems);
+      } else {
+        const known = Object.keys(schema.properties).join(", ");
+        problems.push(
+          `${path}: unknown key "${key}"; expected one of ${known}`
+        );
+      }
+    }
+  }
+
+  return problems;
+}
+
+function merge(defaults, overrides) {
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] =
+      typeOf(value) === "object" && typeOf(defaults[key]) === "object"
+        ? merge(defaults[key], value)
+        : value;
+  }
+  return merged;
+}
+
+// The default scene with config laid over it; throws a SceneConfigError
+// listing every problem if config doesn't match SCENE_SCHEMA
+export function resolveSceneConfig(config = {}, source = "") {
+  const problems = validate(config, SCENE_SCHEMA);
+  if (problems.length > 0) {
+    throw new SceneConfigError(source, problems);
+  }
+  const scene = merge(DEFAULT_SCENE, config);
+
+  // Cloud layers fill in from the default layer at the same depth order
+  scene.environment.clouds = scene.environment.clouds.map((layer, i) =>
+    merge(CLOUD_LAYERS[Math.min(i, CLOUD_LAYERS.length - 1)], layer)
+  );
+  return scene;
+}
+
+// Fetch, parse and resolve the config at url
+export function loadSceneConfig(url) {
+  return fetch(url)
+    .then((response) => {
+      if (!response.ok) {
+        throw new SceneConfigError(url, [
+          `could not be loaded (${response.status} ${response.statusText})`,
+        ]);
+      }
+      return response.text();
+    })
+    .then((text) => {
+      let config;
+      try {
+        config = JSON.parse(text);
+      } catch (error) {
+        throw new SceneConfigError(url, [
+          `is not valid JSON (${error.message})`,
+        ]);
+      }
+      return resolveSceneConfig(config, url);
+    });
+}
+
+// Copy config values onto settings objects in place, vectors included
+function assignSettings(target, values) {
+  for (const [key, value] of Object.entries(values)) {
+    if (target[key] instanceof Vec3) {
+      target[key].set(...value);
+    } else if (typeOf(value) === "object") {
+      assignSettings(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+// Simulation settings with the scene's behavior and boundary applied
+export function createSceneSettings(scene) {
+  const settings = assignSettings(createDefaultSettings(), scene.behavior);
+  assignSettings(settings.boundary, scene.boundary);
+  return settings;
+}
+
+// The flocks to spawn, in order, as { species, birds, boundary, region }
+// ready for Simulation.spawnFlock(). boundary and region are undefined where
+// the group gives none; a group's boundary fills in from sharedBoundary.
+export function planFlocks(scene, sharedBoundary) {
+  const groups = scene.flocks.map((group) => ({
+    species: group.species,
+    birds: group.birds,
+    remaining: group.count === undefined ? 1 : group.count,
+    boundary:
+      group.boundary &&
+      assignSettings(
+        { ...sharedBoundary, home: new Vec3().copy(sharedBoundary.home) },
+        group.boundary
+      ),
+    region: group.region && {
+      center: new Vec3(...group.region.center),
+      size: new Vec3(...group.region.size),
+    },
+  }));
+
+  const plan = [];
+  while (groups.some((group) => group.remaining > 0)) {
+    for (const group of groups) {
+      if (group.remaining > 0) {
+        group.remaining--;
+        const { species, birds, boundary, region } = group;
+        plan.push({ species, birds, boundary, region });
+      }
+    }
+  }
+  return plan;
+}
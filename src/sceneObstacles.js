@@ -0,0 +1,42 @@
+import { Euler, Mesh, Quaternion, TorusKnotGeometry, Vector3 } from "THREE";
+import {
+  SphereObstacle,
+  BoxObstacle,
+  HeightfieldObstacle,
+  MeshObstacle,
+} from "./obstacles.js";
+
+// The obstacles placed in the scene. Kept apart from index.js so a simulation
+// worker can build the very same set without a renderer.
+
+// Base height of the hilly ground below the flocks
+const GROUND_LEVEL = -58;
+
+// material is only needed for obstacles that are drawn from their own mesh
+export function createSceneObstacles(material) {
+  // Rolling hills along the bottom of the world
+  const ground = new HeightfieldObstacle(
+    (x, z) =>
+      GROUND_LEVEL +
+      8 * Math.sin(x * 0.04) * Math.cos(z * 0.05) +
+      4 * Math.sin((x + z) * 0.09),
+    600,
+    600,
+    96
+  );
+
+  // A floating rock and a leaning tower
+  const rock = new SphereObstacle(new Vector3(25, 0, -20), 8);
+  const tower = new BoxObstacle(
+    new Vector3(-30, -25, 10),
+    new Vector3(8, 60, 8),
+    new Quaternion().setFromEuler(new Euler(0.15, 0.4, 0))
+  );
+
+  // Arbitrary geometry is avoided by raycasting against it
+  const knot = new Mesh(new TorusKnotGeometry(6, 1.8, 96, 12), material);
+  knot.position.set(0, 20, -35);
+  knot.updateMatrixWorld();
+
+  return [ground, rock, tower, new MeshObstacle(knot)];
+}
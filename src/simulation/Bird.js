@@ -0,0 +1,314 @@
+import Vec3 from "./Vec3.js";
+import { applyBoundary } from "./boundaries.js";
+
+// One boid. Holds plain position and velocity state; renderers read it and
+// draw the bird between the last two steps.
+
+// Scratch storage reused across steps to avoid per-bird allocation
+const neighborScratch = [];
+const diffScratch = new Vec3();
+const obstacleHit = { distance: 0, normal: new Vec3() };
+const forceScratch = new Vec3();
+const directionScratch = new Vec3();
+const normalScratch = new Vec3();
+const UP = new Vec3(0, 1, 0);
+const RIGHT = new Vec3(1, 0, 0);
+
+function createForces() {
+  return {
+    separation: new Vec3(),
+    alignment: new Vec3(),
+    cohesion: new Vec3(),
+    avoidance: new Vec3(),
+    neighborCount: 0,
+  };
+}
+
+const forcesScratch = createForces();
+
+export default class Bird {
+  constructor(simulation, id, flock, species, position, velocity) {
+    this.simulation = simulation;
+    this.id = id;
+    this.flock = flock;
+    this.species = species;
+
+    this.position = new Vec3().copy(position);
+    this.previousPosition = new Vec3().copy(position);
+    this.velocity = new Vec3().copy(velocity);
+    this.acceleration = new Vec3(0, 0, 0);
+
+    // Seconds of panic left after a predator came close
+    this.panic = 0;
+  }
+
+  update(dt, grid, flockGrid) {
+    // Apply flocking behaviors
+    this.applyFlockingBehavior(grid, flockGrid);
+    this.fleePredators();
+    this.avoidObstacles();
+    this.panic = Math.max(0, this.panic - dt);
+
+    // Update velocity
+    this.velocity.addScaledVector(this.acceleration, dt);
+
+    // Limit speed
+    const maxSpeed = this.getMaxSpeed();
+    if (this.velocity.length() > maxSpeed) {
+      this.velocity.normalize().multiplyScalar(maxSpeed);
+    }
+
+    // Update position
+    this.previousPosition.copy(this.position);
+    this.position.addScaledVector(this.velocity, dt);
+
+    // Never end a step inside solid geometry
+    this.simulation.obstacles.forEach((obstacle) =>
+      obstacle.resolve(this.position)
+    );
+
+    // Reset acceleration
+    this.acceleration.set(0, 0, 0);
+
+    // Boundary behavior: bounce at world edges
+    this.checkBoundaries();
+  }
+
+  getMaxSpeed() {
+    const { params, predator } = this.simulation.settings;
+    const boost = this.panic > 0 ? predator.panicSpeedBoost : 1;
+    return params.maxSpeed * this.species.speed * boost;
+  }
+
+  applyForce(force) {
+    this.acceleration.add(force);
+  }
+
+  applyFlockingBehavior(grid, flockGrid) {
+    const forces = this.getFlockingForces(grid, flockGrid, forcesScratch);
+    this.applyForce(forces.separation);
+    this.applyForce(forces.alignment);
+    this.applyForce(forces.cohesion);
+    this.applyForce(forces.avoidance);
+    this.applyForce(this.getFieldForce(forceScratch));
+    this.applyForce(this.getWaypointForce(forceScratch));
+  }
+
+  // Pull toward attracting force fields and push away from repelling ones,
+  // fading out toward each field's edge, into force if given
+  getFieldForce(force = new Vec3()) {
+    force.set(0, 0, 0);
+    for (const field of this.simulation.forceFields) {
+      diffScratch.subVectors(field.position, this.position);
+      const distance = diffScratch.length();
+      if (distance === 0 || distance > field.radius) continue;
+
+      force.addScaledVector(
+        diffScratch,
+        (field.strength * (1 - distance / field.radius)) / distance
+      );
+    }
+    return force;
+  }
+
+  // Steer for the flock's next waypoint, if it has a path to follow
+  getWaypointForce(force = new Vec3()) {
+    const waypoint = this.flock.getWaypoint();
+    if (!waypoint) return force.set(0, 0, 0);
+
+    return this.seek(waypoint, force).multiplyScalar(
+      this.simulation.settings.waypoints.force
+    );
+  }
+
+  // Weighted separation, alignment, cohesion and inter-flock avoidance, plus
+  // how many flockmates were near enough for any of the first three.
+  // Flockmates are looked up in flockGrid out to its cell size, which covers
+  // the flock's widest rule distance; the push from other flocks comes from
+  // grid, once its repelAll() has run over the avoid distance. One grid of
+  // every bird can serve as both.
+  // The forces are written into the given object, or a new one.
+  getFlockingForces(grid, flockGrid = grid, forces = createForces()) {
+    const { params, interFlock, interSpeciesSpacing } =
+      this.simulation.settings;
+    const { radii, weights } = this.species;
+    const separationDistance = params.separationDistance * radii.separation;
+    const alignmentDistance = params.alignmentDistance * radii.alignment;
+    const cohesionDistance = params.cohesionDistance * radii.cohesion;
+
+    const { separation, alignment, cohesion, avoidance } = forces;
+    separation.set(0, 0, 0);
+    alignment.set(0, 0, 0);
+    cohesion.set(0, 0, 0);
+    avoidance.set(0, 0, 0);
+    let separationCount = 0;
+    let alignmentCount = 0;
+    let cohesionCount = 0;
+    let avoidanceCount = 0;
+    let neighborCount = 0;
+
+    flockGrid.query(this.position, flockGrid.cellSize, neighborScratch);
+    for (const other of neighborScratch) {
+      if (other === this || other.flock !== this.flock) continue;
+
+      const distanceSquared = this.position.distanceToSquared(other.position);
+      if (distanceSquared === 0) continue;
+
+      // Mixed flocks keep extra room between birds of different species
+      let spacing = separationDistance;
+      if (other.species !== this.species) {
+        spacing =
+          Math.max(
+            spacing,
+            params.separationDistance * other.species.radii.separation
+          ) * interSpeciesSpacing;
+      }
+
+      let near = false;
+      if (distanceSquared < spacing * spacing) {
+        // Vector pointing away from neighbor, weighted by distance
+        diffScratch.subVectors(this.position, other.position);
+        separation.addScaledVector(diffScratch, 1 / distanceSquared);
+        separationCount++;
+        near = true;
+      }
+
+      if (distanceSquared < alignmentDistance * alignmentDistance) {
+        alignment.add(other.velocity);
+        alignmentCount++;
+        near = true;
+      }
+
+      if (distanceSquared < cohesionDistance * cohesionDistance) {
+        cohesion.add(other.position);
+        cohesionCount++;
+        near = true;
+      }
+
+      if (near) {
+        neighborCount++;
+      }
+    }
+
+    // Birds of other flocks are only something to keep clear of
+    if (interFlock.avoid) {
+      avoidanceCount = grid.getRepulsion(this, avoidance);
+    }
+
+    if (separationCount > 0) {
+      separation.divideScalar(separationCount);
+    }
+
+    if (alignmentCount > 0) {
+      alignment.divideScalar(alignmentCount);
+      alignment.normalize();
+      alignment.multiplyScalar(this.getMaxSpeed());
+      alignment.sub(this.velocity);
+    }
+
+    if (cohesionCount > 0) {
+      cohesion.divideScalar(cohesionCount);
+      // Seek
+      this.seek(cohesion, cohesion);
+    }
+
+    if (avoidanceCount > 0) {
+      avoidance.divideScalar(avoidanceCount);
+    }
+
+    // Apply weights to the forces
+    separation.multiplyScalar(params.separationForce * weights.separation);
+    alignment.multiplyScalar(params.alignmentForce * weights.alignment);
+    cohesion.multiplyScalar(params.cohesionForce * weights.cohesion);
+    avoidance.multiplyScalar(interFlock.avoidForce);
+
+    forces.neighborCount = neighborCount;
+    return forces;
+  }
+
+  // Bolt away from any predator inside the fear radius, harder the closer it is
+  fleePredators() {
+    const settings = this.simulation.settings.predator;
+
+    for (const predator of this.simulation.predators) {
+      const distance = this.position.distanceTo(predator.position);
+      if (distance === 0 || distance > settings.fearRadius) continue;
+
+      diffScratch
+        .subVectors(this.position, predator.position)
+        .normalize()
+        .multiplyScalar(
+          settings.fleeForce * (1 - distance / settings.fearRadius)
+        );
+      this.applyForce(diffScratch);
+      this.panic = settings.panicDuration;
+    }
+  }
+
+  // Look ahead along the direction of travel and turn away from the nearest
+  // surface coming up, more sharply the closer it is
+  avoidObstacles() {
+    const { obstacles } = this.simulation;
+    const settings = this.simulation.settings.obstacleAvoidance;
+    const speed = this.velocity.length();
+    if (obstacles.length === 0 || speed === 0) return;
+
+    const direction = directionScratch.copy(this.velocity).divideScalar(speed);
+    const range = settings.clearance + speed * settings.lookAheadTime;
+
+    let nearest = Infinity;
+    const normal = normalScratch;
+    for (const obstacle of obstacles) {
+      if (
+        obstacle.probe(this.position, direction, range, obstacleHit) &&
+        obstacleHit.distance < nearest
+      ) {
+        nearest = obstacleHit.distance;
+        normal.copy(obstacleHit.normal);
+      }
+    }
+    if (nearest === Infinity) return;
+
+    // Turn sideways along the surface rather than only braking into it
+    const steer = forceScratch
+      .copy(normal)
+      .addScaledVector(direction, -normal.dot(direction));
+    if (steer.lengthSq() < 1e-6) {
+      // Head-on, so any direction across the line of travel will do
+      const axis = Math.abs(direction.y) < 0.9 ? UP : RIGHT;
+      steer.crossVectors(direction, axis);
+    }
+    steer.normalize().add(normal);
+
+    const urgency = 1 - nearest / range;
+    this.applyForce(steer.multiplyScalar(settings.force * urgency));
+  }
+
+  // Steering toward target at full speed, written into steer if given
+  // (which may be target itself)
+  seek(target, steer = new Vec3()) {
+    return steer
+      .subVectors(target, this.position)
+      .normalize()
+      .multiplyScalar(this.getMaxSpeed())
+      .sub(this.velocity);
+  }
+
+  // Steer back inside the flock's boundary volume
+  checkBoundaries() {
+    const turnForce = forceScratch.set(0, 0, 0);
+    const jumped = applyBoundary(
+      this.flock.boundary,
+      this.position,
+      this.simulation.boundaryDefaults,
+      turnForce
+    );
+
+    // Don't draw the bird sweeping across the world after a wrap-around
+    if (jumped) {
+      this.previousPosition.copy(this.position);
+    }
+
+    this.applyForce(turnForce);
+  }
+}
@@ -0,0 +1,31 @@
+// Tiny event emitter, so renderers and tools can follow what the simulation
+// does without it knowing about them. Works the same in browsers and Node.
+
+export default class Emitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return this;
+  }
+
+  off(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (listeners) {
+      listeners.delete(listener);
+    }
+    return this;
+  }
+
+  emit(type, ...args) {
+    const listeners = this.listeners.get(type);
+    if (listeners) {
+      listeners.forEach((listener) => listener(...args));
+    }
+  }
+}
@@ -0,0 +1,110 @@
+import Vec3 from "./Vec3.js";
+import SpatialGrid from "./SpatialGrid.js";
+
+// A group of birds that flock together. Birds only steer by the members of
+// their own flock; other flocks are something to keep clear of.
+
+export default class Flock {
+  constructor(id, species, initialPosition, boundary) {
+    this.id = id;
+    // Species ids this flock spawns, in the order birds are shared out
+    this.species = species;
+    this.initialPosition = new Vec3().copy(initialPosition);
+    // Volume this flock keeps to; flocks share the simulation's boundary
+    // unless given their own
+    this.boundary = boundary;
+    this.birds = [];
+    // Spatial index over this flock's own birds, rebuilt by the simulation
+    // each step with cells sized to the flock's widest rule distance
+    this.grid = new SpatialGrid(1);
+
+    // Summary of the flock, refreshed by updateStats()
+    this.center = new Vec3().copy(initialPosition);
+    this.heading = new Vec3();
+    this.spread = 0;
+
+    // Path the flock flies along in order, and the waypoint it is heading for
+    this.waypoints = [];
+    this.waypointIndex = 0;
+
+    // Seconds left before this flock may merge again
+    this.mergeCooldown = 0;
+
+    // Seconds of steps sat out while distant, made up on the next one taken
+    // (see Simulation.setDistantFlocks)
+    this.restTime = 0;
+
+    // Set once this flock has been absorbed by another
+    this.mergedInto = null;
+  }
+
+  addBird(bird) {
+    bird.flock = this;
+    this.birds.push(bird);
+  }
+
+  removeBird(bird) {
+    const index = this.birds.indexOf(bird);
+    if (index !== -1) {
+      this.birds.splice(index, 1);
+    }
+  }
+
+  setWaypoints(points, index = 0) {
+    this.waypoints = points.map((point) => new Vec3().copy(point));
+    this.waypointIndex = index;
+  }
+
+  // The waypoint the flock is heading for, or null once the path is done
+  getWaypoint() {
+    return this.waypoints[this.waypointIndex] || null;
+  }
+
+  // Head for the next waypoint once the center reaches the current one.
+  // Returns whether the flock moved on.
+  advanceWaypoint({ arrivalRadius, loop }) {
+    const waypoint = this.getWaypoint();
+    if (!waypoint || this.center.distanceTo(waypoint) > arrivalRadius) {
+      return false;
+    }
+
+    this.waypointIndex++;
+    if (loop && this.waypointIndex >= this.waypoints.length) {
+      this.waypointIndex = 0;
+    }
+    return true;
+  }
+
+  updateStats() {
+    this.heading.set(0, 0, 0);
+    this.spread = 0;
+    if (this.birds.length === 0) return;
+
+    this.center.set(0, 0, 0);
+    for (const bird of this.birds) {
+      this.center.add(bird.position);
+      this.heading.add(bird.velocity);
+    }
+    this.center.divideScalar(this.birds.length);
+    this.heading.divideScalar(this.birds.length);
+
+    for (const bird of this.birds) {
+      this.spread += bird.position.distanceToSquared(this.center);
+    }
+    this.spread = Math.sqrt(this.spread / this.birds.length);
+  }
+
+  update(dt, grid) {
+    for (const bird of this.birds) {
+      bird.update(dt, grid, this.grid);
+    }
+  }
+
+  // Sit a step out, holding every bird where it is so views drawing them
+  // between steps don't replay the last move
+  rest() {
+    for (const bird of this.birds) {
+      bird.previousPosition.copy(bird.position);
+    }
+  }
+}
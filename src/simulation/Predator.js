@@ -0,0 +1,99 @@
+import Vec3 from "./Vec3.js";
+
+// A hunter that chases birds. It steers toward the nearest bird or flock
+// center, picking a fresh target every so often; birds do the fleeing.
+
+export default class Predator {
+  constructor(id, position, settings, random) {
+    this.id = id;
+    this.settings = settings;
+
+    // Simulated position; renderers draw between the last two steps
+    this.position = new Vec3().copy(position);
+    this.previousPosition = new Vec3().copy(position);
+
+    this.velocity = new Vec3(
+      random.spread(settings.maxSpeed),
+      random.spread(settings.maxSpeed),
+      random.spread(settings.maxSpeed)
+    );
+
+    // Bird or flock being chased, and seconds until choosing again
+    this.target = null;
+    this.retargetTimer = 0;
+  }
+
+  update(dt, flocks, worldSize) {
+    const settings = this.settings;
+
+    this.retargetTimer -= dt;
+    if (this.retargetTimer <= 0 || !this.isTargetValid(flocks)) {
+      this.target = this.findTarget(flocks);
+      this.retargetTimer = settings.retargetInterval;
+    }
+
+    const acceleration = new Vec3();
+    if (this.target) {
+      const targetPosition =
+        settings.target === "flock" ? this.target.center : this.target.position;
+      const desired = new Vec3()
+        .subVectors(targetPosition, this.position)
+        .normalize()
+        .multiplyScalar(settings.maxSpeed);
+      acceleration
+        .subVectors(desired, this.velocity)
+        .multiplyScalar(settings.steering);
+    }
+
+    // Wheel back toward the middle once outside the world
+    if (this.position.length() > worldSize) {
+      acceleration.addScaledVector(
+        this.position.clone().normalize(),
+        -settings.maxSpeed * settings.steering
+      );
+    }
+
+    this.velocity.addScaledVector(acceleration, dt);
+    if (this.velocity.length() > settings.maxSpeed) {
+      this.velocity.normalize().multiplyScalar(settings.maxSpeed);
+    }
+
+    this.previousPosition.copy(this.position);
+    this.position.addScaledVector(this.velocity, dt);
+  }
+
+  findTarget(flocks) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (const flock of flocks) {
+      if (flock.birds.length === 0) continue;
+
+      const candidates =
+        this.settings.target === "flock" ? [flock] : flock.birds;
+      for (const candidate of candidates) {
+        const position =
+          this.settings.target === "flock"
+            ? candidate.center
+            : candidate.position;
+        const distance = this.position.distanceToSquared(position);
+        if (distance < nearestDistance) {
+          nearest = candidate;
+          nearestDistance = distance;
+        }
+      }
+    }
+
+    return nearest;
+  }
+
+  // Birds and flocks can disappear mid-chase through removal or merging
+  isTargetValid(flocks) {
+    if (!this.target) return false;
+    if (this.settings.target === "flock") {
+      return flocks.includes(this.target) && this.target.birds.length > 0;
+    }
+    const flock = this.target.flock;
+    return flocks.includes(flock) && flock.birds.includes(this.target);
+  }
+}
@@ -0,0 +1,31 @@
+// Seedable pseudo-random numbers (mulberry32). The same seed always yields
+// the same sequence, so a seed reproduces the same flocks and flight paths.
+
+export default class Random {
+  constructor(seed = 1) {
+    this.setSeed(seed);
+  }
+
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // Uniform float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Uniform float in [-range / 2, range / 2], like ThreeMath.randFloatSpread
+  spread(range) {
+    return range * (0.5 - this.next());
+  }
+
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+}
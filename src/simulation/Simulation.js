@@ -0,0 +1,505 @@
+import Vec3 from "./Vec3.js";
+import Bird from "./Bird.js";
+import Flock from "./Flock.js";
+import Predator from "./Predator.js";
+import Random from "./Random.js";
+import SpatialGrid from "./SpatialGrid.js";
+import Emitter from "./Emitter.js";
+import { createDefaultSettings, getFlockRadius } from "./settings.js";
+import { getSpecies } from "../species.js";
+
+// The whole flocking world as plain state: flocks of birds, predators and the
+// obstacles they steer around, advanced in fixed steps by step(dt). Nothing
+// here touches three.js or the DOM, so it runs under Node as well.
+//
+// Events, for renderers and tools that mirror the world:
+//   step (), after each step(dt)
+//   flockAdded (flock), flockRemoved (flock)
+//   birdAdded (bird), birdRemoved (bird), birdMoved (bird, previousFlock)
+//   predatorAdded (predator), predatorRemoved (predator)
+//   waypointsChanged (flock), when a flock is given a new path
+//
+// Obstacles are anything with probe(origin, direction, range, hit) and
+// resolve(position); see obstacles.js.
+
+const ORIGIN = new Vec3();
+
+// Grid cells never shrink below this, whatever the rule distances are tuned to
+const MIN_CELL_SIZE = 1;
+
+export default class Simulation extends Emitter {
+  constructor({
+    seed = 1,
+    settings = createDefaultSettings(),
+    obstacles = [],
+  } = {}) {
+    super();
+    this.settings = settings;
+
+    // Every random choice draws from this seeded generator
+    this.random = new Random(seed);
+
+    this.flocks = [];
+    this.predators = [];
+    this.obstacles = obstacles;
+    // Attracting (positive strength) or repelling (negative) spheres, set
+    // with setForceFields()
+    this.forceFields = [];
+    this.nextFlockId = 0;
+    this.nextBirdId = 0;
+    this.nextPredatorId = 0;
+
+    // Seconds each pair of flocks has spent close and aligned, keyed "idA:idB"
+    this.mergeTimers = new Map();
+
+    // Which flocks step less often, if any; see setDistantFlocks()
+    this.distantFlocks = { viewpoint: null, distance: Infinity, interval: 1 };
+    this.stepCount = 0;
+
+    // Spatial index over every bird in every flock, rebuilt each step. Other
+    // flocks are only kept clear of, in one pass over the pairs of birds
+    // within the inter-flock avoid distance that its cells match; flockmates
+    // come from each flock's own grid.
+    this.grid = new SpatialGrid(MIN_CELL_SIZE);
+
+    // Boundary size and strength follow the live world size and turn factor
+    const params = settings.params;
+    this.boundaryDefaults = {
+      get size() {
+        return params.worldSize;
+      },
+      get strength() {
+        return params.turnFactor;
+      },
+    };
+  }
+
+  step(dt) {
+    const { params } = this.settings;
+
+    this.predators.forEach((predator) =>
+      predator.update(dt, this.flocks, params.worldSize)
+    );
+    this.rebuildGrid();
+    this.stepCount++;
+    this.flocks.forEach((flock) => {
+      flock.restTime += dt;
+      if (this.isResting(flock)) {
+        flock.rest();
+      } else {
+        flock.update(flock.restTime, this.grid);
+        flock.restTime = 0;
+      }
+    });
+    this.updateFlockMembership(dt);
+    this.flocks.forEach((flock) =>
+      flock.advanceWaypoint(this.settings.waypoints)
+    );
+    this.emit("step");
+  }
+
+  get seed() {
+    return this.random.seed;
+  }
+
+  // Step flocks whose center is farther than distance from viewpoint only
+  // every interval steps, taking turns by id and making up the time they sat
+  // out, to spend less on birds too far off to see closely. A null viewpoint,
+  // as at the start, steps every flock every step; a seed only plays out the
+  // same way every time while that's so.
+  setDistantFlocks(viewpoint, distance = Infinity, interval = 1) {
+    this.distantFlocks = {
+      viewpoint: viewpoint ? new Vec3().copy(viewpoint) : null,
+      distance,
+      interval,
+    };
+  }
+
+  // Whether flock sits this step out; see setDistantFlocks()
+  isResting(flock) {
+    const { viewpoint, distance, interval } = this.distantFlocks;
+    return (
+      viewpoint !== null &&
+      this.stepCount % interval !== flock.id % interval &&
+      flock.center.distanceTo(viewpoint) > distance
+    );
+  }
+
+  rebuildGrid() {
+    // Cells match the query radii, which follow the live tuning
+    const { interFlock } = this.settings;
+    this.grid.clear();
+    this.grid.cellSize = Math.max(interFlock.avoidDistance, MIN_CELL_SIZE);
+    for (const flock of this.flocks) {
+      // Sized by the birds actually in the flock, which a recording can mix
+      // beyond the species the flock was spawned with
+      const species = new Set(flock.birds.map((bird) => bird.species));
+      flock.grid.clear();
+      flock.grid.cellSize = Math.max(
+        getFlockRadius(this.settings, [...species]),
+        MIN_CELL_SIZE
+      );
+      for (const bird of flock.birds) {
+        this.grid.insert(bird, flock);
+        flock.grid.insert(bird);
+      }
+    }
+
+    if (interFlock.avoid) {
+      this.grid.repelAll(interFlock.avoidDistance);
+    }
+  }
+
+  getAllBirds() {
+    const birds = [];
+    for (const flock of this.flocks) {
+      birds.push(...flock.birds);
+    }
+    return birds;
+  }
+
+  // Start a flock of count birds somewhere random in the world, or within
+  // region ({ center, size }, size being the box's full width on each axis)
+  spawnFlock(species, count, boundary = this.settings.boundary, region) {
+    const { params } = this.settings;
+    const { center: origin, size } = region || {
+      center: ORIGIN,
+      size: new Vec3(params.worldSize, params.worldSize / 2, params.worldSize),
+    };
+    const center = new Vec3(
+      origin.x + this.random.spread(size.x),
+      origin.y + this.random.spread(size.y),
+      origin.z + this.random.spread(size.z)
+    );
+
+    const flock = this.addFlock(
+      new Flock(this.nextFlockId++, species, center, boundary)
+    );
+    this.spawnBirds(flock, count);
+    return flock;
+  }
+
+  addFlock(flock) {
+    this.flocks.push(flock);
+    this.emit("flockAdded", flock);
+    return flock;
+  }
+
+  // Birds are created in a fixed order, so a seed always gives the same world
+  spawnBirds(flock, count) {
+    const speciesList = flock.species.map(getSpecies);
+    const random = this.random;
+
+    // Carry on the flock's species rotation from its current size
+    const offset = flock.birds.length;
+
+    // Create birds with slight variations in starting positions
+    for (let i = offset; i < offset + count; i++) {
+      const species = speciesList[i % speciesList.length];
+      const position = new Vec3(
+        random.spread(5),
+        random.spread(5),
+        random.spread(5)
+      ).add(flock.center);
+
+      // Start with a random velocity
+      const maxSpeed = this.settings.params.maxSpeed * species.speed;
+      const velocity = new Vec3(
+        random.spread(maxSpeed),
+        random.spread(maxSpeed),
+        random.spread(maxSpeed)
+      );
+
+      this.addBird(
+        new Bird(this, this.nextBirdId++, flock, species, position, velocity),
+        flock
+      );
+    }
+  }
+
+  addBird(bird, flock) {
+    flock.addBird(bird);
+    this.emit("birdAdded", bird);
+    return bird;
+  }
+
+  removeBird(bird) {
+    bird.flock.removeBird(bird);
+    this.emit("birdRemoved", bird);
+  }
+
+  moveBird(bird, flock) {
+    const previous = bird.flock;
+    previous.removeBird(bird);
+    flock.addBird(bird);
+    this.emit("birdMoved", bird, previous);
+  }
+
+  // Fields are { position, radius, strength }, replacing any set before
+  setForceFields(fields) {
+    this.forceFields = fields.map(({ position, radius, strength }) => ({
+      position: new Vec3().copy(position),
+      radius,
+      strength,
+    }));
+  }
+
+  // Points are { x, y, z }; an empty list stops the flock following a path
+  setWaypoints(flock, points, index = 0) {
+    flock.setWaypoints(points, index);
+    this.emit("waypointsChanged", flock);
+  }
+
+  removeFlock(flock) {
+    const index = this.flocks.indexOf(flock);
+    if (index !== -1) {
+      this.flocks.splice(index, 1);
+    }
+
+    // Flocks removed by merging are already empty
+    flock.birds.slice().forEach((bird) => this.removeBird(bird));
+    this.emit("flockRemoved", flock);
+  }
+
+  addPredator() {
+    const { params, predator: settings } = this.settings;
+    const position = new Vec3(
+      this.random.spread(params.worldSize * 2),
+      this.random.spread(params.worldSize),
+      this.random.spread(params.worldSize * 2)
+    );
+
+    const predator = new Predator(
+      this.nextPredatorId++,
+      position,
+      settings,
+      this.random
+    );
+    this.predators.push(predator);
+    this.emit("predatorAdded", predator);
+    return predator;
+  }
+
+  removePredator(predator = this.predators[this.predators.length - 1]) {
+    const index = this.predators.indexOf(predator);
+    if (index === -1) return;
+
+    this.predators.splice(index, 1);
+    this.emit("predatorRemoved", predator);
+  }
+
+  // Empty the world and rewind the generator, ready to populate again
+  reset(seed = this.random.seed) {
+    this.clearFlocks();
+    while (this.predators.length > 0) {
+      this.removePredator();
+    }
+
+    this.random.setSeed(seed);
+    this.stepCount = 0;
+    this.nextFlockId = 0;
+    this.nextBirdId = 0;
+    this.nextPredatorId = 0;
+  }
+
+  clearFlocks() {
+    this.flocks.slice().forEach((flock) => this.removeFlock(flock));
+    this.mergeTimers.clear();
+  }
+
+  // Merge flocks that have flown together long enough and split flocks that
+  // have grown too large or too spread out
+  updateFlockMembership(dt) {
+    const { interFlock } = this.settings;
+
+    this.flocks.forEach((flock) => {
+      flock.updateStats();
+      flock.mergeCooldown = Math.max(0, flock.mergeCooldown - dt);
+    });
+
+    if (interFlock.merge) {
+      this.mergeFlocks(dt);
+    }
+
+    if (interFlock.split) {
+      // Iterate over a copy since splitting appends new flocks
+      this.flocks.slice().forEach((flock) => {
+        if (
+          flock.birds.length > interFlock.maxFlockSize ||
+          (flock.spread > interFlock.maxFlockSpread &&
+            flock.birds.length >= interFlock.minSplitSize * 2)
+        ) {
+          this.splitFlock(flock);
+        }
+      });
+    }
+  }
+
+  mergeFlocks(dt) {
+    const { interFlock } = this.settings;
+    const flocks = this.flocks;
+    const activeTimers = new Set();
+    const merges = [];
+
+    for (let i = 0; i < flocks.length; i++) {
+      for (let j = i + 1; j < flocks.length; j++) {
+        const a = flocks[i];
+        const b = flocks[j];
+        if (a.birds.length === 0 || b.birds.length === 0) continue;
+        if (a.mergeCooldown > 0 || b.mergeCooldown > 0) continue;
+        if (a.birds.length + b.birds.length > interFlock.maxFlockSize) {
+          continue;
+        }
+
+        const close = a.center.distanceTo(b.center) < interFlock.mergeDistance;
+        const headingA = a.heading.clone().normalize();
+        const headingB = b.heading.clone().normalize();
+        const aligned = headingA.dot(headingB) > interFlock.mergeAlignment;
+        if (!close || !aligned) continue;
+
+        const key = `${a.id}:${b.id}`;
+        const time = (this.mergeTimers.get(key) || 0) + dt;
+        this.mergeTimers.set(key, time);
+        activeTimers.add(key);
+
+        if (time >= interFlock.mergeTime) {
+          merges.push([a, b]);
+        }
+      }
+    }
+
+    // Forget pairs that drifted apart or lost alignment
+    for (const key of this.mergeTimers.keys()) {
+      if (!activeTimers.has(key)) {
+        this.mergeTimers.delete(key);
+      }
+    }
+
+    for (const [a, b] of merges) {
+      // Either flock may already have been absorbed this step
+      if (a.mergedInto || b.mergedInto) continue;
+
+      // The larger flock absorbs the smaller one
+      const [keep, absorb] = a.birds.length >= b.birds.length ? [a, b] : [b, a];
+      for (const bird of absorb.birds.slice()) {
+        this.moveBird(bird, keep);
+      }
+      keep.species = [...new Set([...keep.species, ...absorb.species])];
+      absorb.mergedInto = keep;
+      this.removeFlock(absorb);
+    }
+  }
+
+  // Split a flock in two across the axis through its farthest bird
+  splitFlock(flock) {
+    const { interFlock } = this.settings;
+
+    let farthest = flock.birds[0];
+    for (const bird of flock.birds) {
+      if (
+        bird.position.distanceToSquared(flock.center) >
+        farthest.position.distanceToSquared(flock.center)
+      ) {
+        farthest = bird;
+      }
+    }
+
+    const axis = new Vec3().subVectors(farthest.position, flock.center);
+    if (axis.lengthSq() === 0) return;
+    axis.normalize();
+
+    const sorted = flock.birds
+      .slice()
+      .sort((a, b) => a.position.dot(axis) - b.position.dot(axis));
+    const half = Math.floor(sorted.length / 2);
+    if (half < interFlock.minSplitSize) return;
+
+    const offshoot = this.addFlock(
+      new Flock(
+        this.nextFlockId++,
+        flock.species,
+        farthest.position,
+        flock.boundary
+      )
+    );
+    for (const bird of sorted.slice(half)) {
+      this.moveBird(bird, offshoot);
+    }
+    if (flock.waypoints.length > 0) {
+      this.setWaypoints(offshoot, flock.waypoints, flock.waypointIndex);
+    }
+
+    // Keep the halves from immediately merging back together
+    flock.mergeCooldown = interFlock.mergeCooldown;
+    offshoot.mergeCooldown = interFlock.mergeCooldown;
+    flock.updateStats();
+    offshoot.updateStats();
+  }
+
+  // Set every bird to a recorded state (see Recorder.js), creating, moving and
+  // removing birds and flocks to match. With restart set the previous step is
+  // treated as discontinuous, so nothing is drawn sweeping across the gap.
+  applyFrame(frame, speciesIds, restart = false) {
+    const birds = new Map(this.getAllBirds().map((bird) => [bird.id, bird]));
+    const flocks = new Map(this.flocks.map((flock) => [flock.id, flock]));
+    const seen = new Set();
+
+    for (let i = 0; i < frame.ids.length; i++) {
+      const id = frame.ids[i];
+      const species = getSpecies(speciesIds[frame.species[i]]);
+      const offset = i * 6;
+      const position = new Vec3(
+        frame.state[offset],
+        frame.state[offset + 1],
+        frame.state[offset + 2]
+      );
+      const velocity = new Vec3(
+        frame.state[offset + 3],
+        frame.state[offset + 4],
+        frame.state[offset + 5]
+      );
+
+      let flock = flocks.get(frame.flockIds[i]);
+      if (!flock) {
+        flock = this.addFlock(
+          new Flock(
+            frame.flockIds[i],
+            [species.id],
+            position,
+            this.settings.boundary
+          )
+        );
+        flocks.set(flock.id, flock);
+        this.nextFlockId = Math.max(this.nextFlockId, flock.id + 1);
+      }
+
+      let bird = birds.get(id);
+      if (!bird) {
+        bird = this.addBird(
+          new Bird(this, id, flock, species, position, velocity),
+          flock
+        );
+        birds.set(id, bird);
+        this.nextBirdId = Math.max(this.nextBirdId, id + 1);
+      } else if (bird.flock !== flock) {
+        this.moveBird(bird, flock);
+      }
+
+      bird.previousPosition.copy(restart ? position : bird.position);
+      bird.position.copy(position);
+      bird.velocity.copy(velocity);
+      seen.add(id);
+    }
+
+    // Birds that aren't in this step have left the recording
+    for (const [id, bird] of birds) {
+      if (!seen.has(id)) {
+        this.removeBird(bird);
+      }
+    }
+    this.flocks
+      .filter((flock) => flock.birds.length === 0)
+      .forEach((flock) => this.removeFlock(flock));
+    this.flocks.forEach((flock) => flock.updateStats());
+  }
+}
@@ -0,0 +1,261 @@
+// Uniform grid over 3D space for fast radius queries.
+// Items are bucketed by their `position` into cubic cells; a query only visits
+// the cells overlapping the search sphere instead of every item.
+//
+// Items may be inserted with a group (a bird's flock, say). Each cell keeps
+// the group all its items share, so repelAll() can pass over pairs of cells
+// holding nothing but one and the same group without looking at their items.
+
+// Cell coordinates wrap at this many cells per axis, so a cell's key packs
+// into one small integer. Cells a whole wrap apart share a bucket, which
+// queries sort out by distance, and no query visits a wrapped coordinate
+// twice.
+const CELL_BITS = 10;
+const CELL_WRAP = 1 << CELL_BITS;
+const CELL_MASK = CELL_WRAP - 1;
+
+function cellKey(x, y, z) {
+  return (
+    ((x & CELL_MASK) << (CELL_BITS * 2)) |
+    ((y & CELL_MASK) << CELL_BITS) |
+    (z & CELL_MASK)
+  );
+}
+
+// Group of a cell whose items don't all share one
+const MIXED = {};
+
+// Offsets to the neighboring cells within reach cells of one another, taking
+// only one of each opposite pair so every pair of cells comes up once
+function getForwardOffsets(reach) {
+  const offsets = [];
+  for (let x = 0; x <= reach; x++) {
+    for (let y = x === 0 ? 0 : -reach; y <= reach; y++) {
+      for (let z = x === 0 && y === 0 ? 1 : -reach; z <= reach; z++) {
+        offsets.push(x, y, z);
+      }
+    }
+  }
+  return offsets;
+}
+
+export default class SpatialGrid {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+
+    // Every item in the order inserted, and where each one is in that order
+    this.items = [];
+    this.indices = new Map();
+    // Four numbers per item, filled in by repelAll(): the summed push away
+    // from the items near it (x, y, z) and how many there were
+    this.repulsion = new Float64Array(0);
+  }
+
+  // Empty every cell, keeping those used since the last clear around for the
+  // next rebuild and dropping the rest, so the map doesn't keep every cell
+  // anything ever passed through
+  clear() {
+    for (const [key, cell] of this.cells) {
+      if (cell.items.length === 0) {
+        this.cells.delete(key);
+      } else {
+        cell.items.length = 0;
+        cell.indices.length = 0;
+        cell.coordinates.length = 0;
+        cell.groups.length = 0;
+        cell.group = undefined;
+      }
+    }
+    this.items.length = 0;
+    this.indices.clear();
+  }
+
+  insert(item, group) {
+    const { x, y, z } = item.position;
+    const size = this.cellSize;
+    const cellX = Math.floor(x / size);
+    const cellY = Math.floor(y / size);
+    const cellZ = Math.floor(z / size);
+    const key = cellKey(cellX, cellY, cellZ);
+
+    let cell = this.cells.get(key);
+    if (!cell) {
+      // Positions are copied in alongside the items, where a query can run
+      // through them without visiting each item in turn
+      cell = {
+        x: cellX,
+        y: cellY,
+        z: cellZ,
+        items: [],
+        indices: [],
+        coordinates: [],
+        groups: [],
+        group: undefined,
+      };
+      this.cells.set(key, cell);
+    }
+    if (cell.items.length === 0) {
+      cell.group = group;
+    } else if (cell.group !== group) {
+      cell.group = MIXED;
+    }
+
+    const index = this.items.length;
+    this.items.push(item);
+    this.indices.set(item, index);
+    cell.items.push(item);
+    cell.indices.push(index);
+    cell.coordinates.push(x, y, z);
+    cell.groups.push(group);
+  }
+
+  // Collect every item within radius of position into result (cleared first).
+  // Returns result so callers can reuse one array across queries.
+  query(position, radius, result = []) {
+    result.length = 0;
+
+    const size = this.cellSize;
+    const radiusSquared = radius * radius;
+    const minX = Math.floor((position.x - radius) / size);
+    const minY = Math.floor((position.y - radius) / size);
+    const minZ = Math.floor((position.z - radius) / size);
+    const maxX = Math.min(
+      Math.floor((position.x + radius) / size),
+      minX + CELL_MASK
+    );
+    const maxY = Math.min(
+      Math.floor((position.y + radius) / size),
+      minY + CELL_MASK
+    );
+    const maxZ = Math.min(
+      Math.floor((position.z + radius) / size),
+      minZ + CELL_MASK
+    );
+
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        for (let z = minZ; z <= maxZ; z++) {
+          const cell = this.cells.get(cellKey(x, y, z));
+          if (!cell) continue;
+
+          const { items, coordinates } = cell;
+          for (let i = 0; i < items.length; i++) {
+            const dx = coordinates[i * 3] - position.x;
+            const dy = coordinates[i * 3 + 1] - position.y;
+            const dz = coordinates[i * 3 + 2] - position.z;
+            if (dx * dx + dy * dy + dz * dz <= radiusSquared) {
+              result.push(items[i]);
+            }
+          }
+        }
+      }
+    }
+
+    return result;
+  }
+
+  // For every item, add up (item - other) / distance² over the other items
+  // closer than radius and of another group, for getRepulsion() to hand out.
+  // Each pair of items is looked at once for the both of them, rather than
+  // once from each side as a query per item would.
+  repelAll(radius) {
+    const { items, repulsion: previous } = this;
+    const repulsion =
+      previous.length >= items.length * 4
+        ? previous
+        : new Float64Array(items.length * 8);
+    repulsion.fill(0, 0, items.length * 4);
+    this.repulsion = repulsion;
+
+    const radiusSquared = radius * radius;
+    // Reaching past a whole wrap would bring cells round to themselves
+    const reach = Math.min(
+      Math.ceil(radius / this.cellSize),
+      CELL_WRAP / 2 - 1
+    );
+    const offsets = getForwardOffsets(reach);
+
+    for (const cell of this.cells.values()) {
+      if (cell.items.length === 0) continue;
+
+      repelCells(cell, cell, radiusSquared, repulsion);
+      for (let i = 0; i < offsets.length; i += 3) {
+        const other = this.cells.get(
+          cellKey(
+            cell.x + offsets[i],
+            cell.y + offsets[i + 1],
+            cell.z + offsets[i + 2]
+          )
+        );
+        if (other && other.items.length > 0) {
+          repelCells(cell, other, radiusSquared, repulsion);
+        }
+      }
+    }
+  }
+
+  // Add item's push from repelAll() into sum and return how many items it
+  // came from
+  getRepulsion(item, sum) {
+    const index = this.indices.get(item);
+    if (index === undefined) return 0;
+
+    const { repulsion } = this;
+    sum.x += repulsion[index * 4];
+    sum.y += repulsion[index * 4 + 1];
+    sum.z += repulsion[index * 4 + 2];
+    return repulsion[index * 4 + 3];
+  }
+}
+
+// Add the push between each item of cell a and each item of cell b (the
+// later items of a, if b is a itself) into repulsion, one way for each
+function repelCells(a, b, radiusSquared, repulsion) {
+  if (a.group === b.group && a.group !== MIXED) return;
+
+  const same = a === b;
+  const { coordinates: coordinatesA, groups: groupsA, indices: indicesA } = a;
+  const { coordinates: coordinatesB, groups: groupsB, indices: indicesB } = b;
+
+  for (let i = 0; i < indicesA.length; i++) {
+    const x = coordinatesA[i * 3];
+    const y = coordinatesA[i * 3 + 1];
+    const z = coordinatesA[i * 3 + 2];
+    const group = groupsA[i];
+    let sumX = 0;
+    let sumY = 0;
+    let sumZ = 0;
+    let count = 0;
+
+    for (let j = same ? i + 1 : 0; j < indicesB.length; j++) {
+      if (groupsB[j] === group) continue;
+
+      const dx = x - coordinatesB[j * 3];
+      const dy = y - coordinatesB[j * 3 + 1];
+      const dz = z - coordinatesB[j * 3 + 2];
+      const distanceSquared = dx * dx + dy * dy + dz * dz;
+      if (distanceSquared === 0 || distanceSquared >= radiusSquared) continue;
+
+      const pushX = dx / distanceSquared;
+      const pushY = dy / distanceSquared;
+      const pushZ = dz / distanceSquared;
+      sumX += pushX;
+      sumY += pushY;
+      sumZ += pushZ;
+      count++;
+
+      const other = indicesB[j] * 4;
+      repulsion[other] -= pushX;
+      repulsion[other + 1] -= pushY;
+      repulsion[other + 2] -= pushZ;
+      repulsion[other + 3]++;
+    }
+
+    const index = indicesA[i] * 4;
+    repulsion[index] += sumX;
+    repulsion[index + 1] += sumY;
+    repulsion[index + 2] += sumZ;
+    repulsion[index + 3] += count;
+  }
+}
@@ -0,0 +1,121 @@
+// Minimal 3D vector for the simulation, so it runs without three.js.
+// Method names and chaining follow three's Vector3, and anything with x, y
+// and z (including a Vector3) can be passed where a vector is expected.
+
+export default class Vec3 {
+  constructor(x = 0, y = 0, z = 0) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+  }
+
+  set(x, y, z) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    return this;
+  }
+
+  copy(v) {
+    this.x = v.x;
+    this.y = v.y;
+    this.z = v.z;
+    return this;
+  }
+
+  clone() {
+    return new Vec3(this.x, this.y, this.z);
+  }
+
+  add(v) {
+    this.x += v.x;
+    this.y += v.y;
+    this.z += v.z;
+    return this;
+  }
+
+  addVectors(a, b) {
+    this.x = a.x + b.x;
+    this.y = a.y + b.y;
+    this.z = a.z + b.z;
+    return this;
+  }
+
+  addScaledVector(v, s) {
+    this.x += v.x * s;
+    this.y += v.y * s;
+    this.z += v.z * s;
+    return this;
+  }
+
+  sub(v) {
+    this.x -= v.x;
+    this.y -= v.y;
+    this.z -= v.z;
+    return this;
+  }
+
+  subVectors(a, b) {
+    this.x = a.x - b.x;
+    this.y = a.y - b.y;
+    this.z = a.z - b.z;
+    return this;
+  }
+
+  multiplyScalar(s) {
+    this.x *= s;
+    this.y *= s;
+    this.z *= s;
+    return this;
+  }
+
+  divideScalar(s) {
+    return this.multiplyScalar(1 / s);
+  }
+
+  negate() {
+    return this.multiplyScalar(-1);
+  }
+
+  dot(v) {
+    return this.x * v.x + this.y * v.y + this.z * v.z;
+  }
+
+  crossVectors(a, b) {
+    const x = a.y * b.z - a.z * b.y;
+    const y = a.z * b.x - a.x * b.z;
+    const z = a.x * b.y - a.y * b.x;
+    return this.set(x, y, z);
+  }
+
+  lengthSq() {
+    return this.x * this.x + this.y * this.y + this.z * this.z;
+  }
+
+  length() {
+    return Math.sqrt(this.lengthSq());
+  }
+
+  // Like three, a zero vector stays zero instead of becoming NaN
+  normalize() {
+    return this.divideScalar(this.length() || 1);
+  }
+
+  distanceToSquared(v) {
+    const dx = this.x - v.x;
+    const dy = this.y - v.y;
+    const dz = this.z - v.z;
+    return dx * dx + dy * dy + dz * dz;
+  }
+
+  distanceTo(v) {
+    return Math.sqrt(this.distanceToSquared(v));
+  }
+
+  lerpVectors(a, b, alpha) {
+    this.x = a.x + (b.x - a.x) * alpha;
+    this.y = a.y + (b.y - a.y) * alpha;
+    this.z = a.z + (b.z - a.z) * alpha;
+    return this;
+  }
+}
@@ -0,0 +1,135 @@
+import Vec3 from "./Vec3.js";
+
+// Strategies that keep birds inside their flock's volume.
+// A boundary is a plain settings object:
+//   mode      one of the keys of BOUNDARY_MODES
+//   size      half-width of the box, or radius of the sphere or cylinder
+//   height    half-height of the cylinder
+//   margin    width of the band inside the edge where the push ramps up,
+//             DEFAULT_MARGIN when left unset
+//   strength  acceleration at the edge, growing further beyond it
+//   home      point the attractor pulls toward
+// size and strength fall back to the defaults passed in when left unset.
+
+export const DEFAULT_MARGIN = 10;
+
+const scratch = new Vec3();
+
+// The boundary's margin; 0 is kept, since it means a hard edge
+export function getMargin(boundary) {
+  return boundary.margin === undefined ? DEFAULT_MARGIN : boundary.margin;
+}
+
+// 0 well inside the volume, easing up to 1 at the edge and growing past it
+function falloff(distanceInside, margin) {
+  if (margin <= 0) {
+    return distanceInside < 0 ? 1 - distanceInside : 0;
+  }
+
+  const t = 1 - distanceInside / margin;
+  if (t <= 0) return 0;
+  if (t >= 1) return t;
+  return t * t * (3 - 2 * t);
+}
+
+// Push back along each axis separately, easing in before each face
+function softBox(boundary, position, defaults, force) {
+  const size = boundary.size || defaults.size;
+  const strength = boundary.strength || defaults.strength;
+  const margin = getMargin(boundary);
+
+  for (const axis of ["x", "y", "z"]) {
+    const value = position[axis];
+    const push = falloff(size - Math.abs(value), margin) * strength;
+    force[axis] -= Math.sign(value) * push;
+  }
+
+  return false;
+}
+
+function sphere(boundary, position, defaults, force) {
+  const radius = boundary.size || defaults.size;
+  const strength = boundary.strength || defaults.strength;
+  const margin = getMargin(boundary);
+
+  const distance = position.length();
+  const push = falloff(radius - distance, margin) * strength;
+  if (push > 0) {
+    force.addScaledVector(scratch.copy(position).normalize(), -push);
+  }
+
+  return false;
+}
+
+// Upright cylinder: a radial push in the horizontal plane plus caps
+function cylinder(boundary, position, defaults, force) {
+  const radius = boundary.size || defaults.size;
+  const height = boundary.height || radius;
+  const strength = boundary.strength || defaults.strength;
+  const margin = getMargin(boundary);
+
+  scratch.set(position.x, 0, position.z);
+  const distance = scratch.length();
+  const radialPush = falloff(radius - distance, margin) * strength;
+  if (radialPush > 0) {
+    force.addScaledVector(scratch.normalize(), -radialPush);
+  }
+
+  const capPush = falloff(height - Math.abs(position.y), margin) * strength;
+  force.y -= Math.sign(position.y) * capPush;
+
+  return false;
+}
+
+// Toroidal world: leaving through one face re-enters through the opposite one
+function wrap(boundary, position, defaults) {
+  const size = boundary.size || defaults.size;
+  let wrapped = false;
+
+  for (const axis of ["x", "y", "z"]) {
+    if (position[axis] > size) {
+      position[axis] -= size * 2;
+      wrapped = true;
+    } else if (position[axis] < -size) {
+      position[axis] += size * 2;
+      wrapped = true;
+    }
+  }
+
+  return wrapped;
+}
+
+// Free flight around a home point, pulled back once birds stray beyond size
+function attractor(boundary, position, defaults, force) {
+  const radius = boundary.size || defaults.size;
+  const strength = boundary.strength || defaults.strength;
+  const margin = getMargin(boundary);
+  const home = boundary.home || scratch.set(0, 0, 0);
+
+  const toHome = new Vec3().subVectors(home, position);
+  const distance = toHome.length();
+  const pull = falloff(radius - distance, margin) * strength;
+  if (pull > 0) {
+    force.addScaledVector(toHome.normalize(), pull);
+  }
+
+  return false;
+}
+
+export const BOUNDARY_MODES = {
+  softBox,
+  sphere,
+  cylinder,
+  wrap,
+  attractor,
+};
+
+// Add the boundary's steering to force. Returns true if the position itself
+// jumped (wrap-around), so callers can skip interpolating across the gap.
+export function applyBoundary(boundary, position, defaults, force) {
+  const mode = BOUNDARY_MODES[boundary.mode];
+  if (!mode) {
+    throw new Error(`Unknown boundary mode "${boundary.mode}"`);
+  }
+  return mode(boundary, position, defaults, force);
+}
@@ -0,0 +1,51 @@
+// The calls WorkerSimulation sends for a Simulation to carry out, each as
+// [method, ...args] with birds, flocks and predators passed by id. Run by
+// simulationWorker.js, and by WorkerSimulation itself once it has fallen back
+// to stepping on the main thread.
+
+const findFlock = (simulation, id) =>
+  simulation.flocks.find((flock) => flock.id === id);
+const findBird = (simulation, id) =>
+  simulation.getAllBirds().find((bird) => bird.id === id);
+
+const COMMANDS = {
+  step: (simulation, dt) => simulation.step(dt),
+  spawnFlock: (simulation, species, count, boundary, region) =>
+    simulation.spawnFlock(species, count, boundary, region),
+  spawnBirds: (simulation, flockId, count) => {
+    const flock = findFlock(simulation, flockId);
+    if (flock) simulation.spawnBirds(flock, count);
+  },
+  removeFlock: (simulation, flockId) => {
+    const flock = findFlock(simulation, flockId);
+    if (flock) simulation.removeFlock(flock);
+  },
+  removeBird: (simulation, birdId) => {
+    const bird = findBird(simulation, birdId);
+    if (bird) simulation.removeBird(bird);
+  },
+  addPredator: (simulation) => simulation.addPredator(),
+  removePredator: (simulation, predatorId) => {
+    const predator = simulation.predators.find((p) => p.id === predatorId);
+    if (predator) simulation.removePredator(predator);
+  },
+  reset: (simulation, seed) => simulation.reset(seed),
+  clearFlocks: (simulation) => simulation.clearFlocks(),
+  applyFrame: (simulation, frame, speciesIds, restart) =>
+    simulation.applyFrame(frame, speciesIds, restart),
+  setForceFields: (simulation, fields) => simulation.setForceFields(fields),
+  setDistantFlocks: (simulation, viewpoint, distance, interval) =>
+    simulation.setDistantFlocks(viewpoint, distance, interval),
+  setWaypoints: (simulation, flockId, points, index) => {
+    const flock = findFlock(simulation, flockId);
+    if (flock) simulation.setWaypoints(flock, points, index);
+  },
+};
+
+export function runCommand(simulation, [method, ...args]) {
+  const command = COMMANDS[method];
+  if (!command) {
+    throw new Error(`Unknown simulation command "${method}"`);
+  }
+  command(simulation, ...args);
+}
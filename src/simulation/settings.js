@@ -0,0 +1,104 @@
+import Vec3 from "./Vec3.js";
+import { SPECIES } from "../species.js";
+import { DEFAULT_MARGIN } from "./boundaries.js";
+
+// Default tuning for a Simulation. Every call returns fresh objects, so each
+// simulation (and the tuning panel bound to it) edits its own copy.
+export function createDefaultSettings() {
+  return {
+    // Flocking parameters
+    // Speeds are in world units per second and accelerations in units per
+    // second squared, so birds fly the same at any step rate
+    params: {
+      separationDistance: 5,
+      cohesionDistance: 10,
+      alignmentDistance: 25,
+      separationForce: 1800, // Per unit of inverse neighbor distance
+      cohesionForce: 0.6, // Per second, applied to the velocity change
+      alignmentForce: 6, // Per second, applied to the velocity change
+      maxSpeed: 12,
+      worldSize: 50,
+      turnFactor: 360,
+    },
+
+    // Boundary shared by every flock that isn't given its own; see
+    // boundaries.js
+    boundary: {
+      mode: "softBox",
+      margin: DEFAULT_MARGIN,
+      height: 30,
+      home: new Vec3(0, 0, 0),
+    },
+
+    // Birds of different species keep this much more room between them
+    interSpeciesSpacing: 1.5,
+
+    // How flocks treat each other
+    interFlock: {
+      // Birds steer away from members of other flocks within this distance
+      avoid: true,
+      avoidDistance: 8,
+      avoidForce: 900, // Per unit of inverse neighbor distance
+      // Two flocks merge after flying close together on similar headings
+      merge: true,
+      mergeDistance: 12, // Between flock centers
+      mergeAlignment: 0.9, // Cosine of the angle between average headings
+      mergeTime: 3, // Seconds the flocks must stay close and aligned
+      mergeCooldown: 10, // Seconds after a split before either half may merge
+      // A flock splits in two when it grows too large or spreads too thin
+      split: true,
+      maxFlockSize: 12,
+      maxFlockSpread: 15, // RMS distance of birds from the flock center
+      minSplitSize: 3, // Smallest flock a split may produce
+    },
+
+    // Predators and how birds react to them
+    predator: {
+      count: 1,
+      // Chase the nearest "bird" or the nearest "flock" center
+      target: "bird",
+      maxSpeed: 16, // Faster than a cruising bird, slower than a panicked one
+      steering: 2, // Per second, applied to the velocity change
+      retargetInterval: 4, // Seconds between choosing a new target
+      // Birds within the fear radius flee and get a temporary speed boost
+      fearRadius: 20,
+      fleeForce: 600,
+      panicSpeedBoost: 1.8,
+      panicDuration: 1.5, // Seconds the boost lasts after the last scare
+    },
+
+    // How flocks follow waypoint paths set with Simulation.setWaypoints()
+    waypoints: {
+      force: 1.5, // Per second, applied to the velocity change
+      arrivalRadius: 8, // Flock center distance that counts as arriving
+      loop: true, // Start over after the last waypoint, or stop there
+    },
+
+    // How birds look ahead for obstacles
+    obstacleAvoidance: {
+      lookAheadTime: 1.5, // Seconds of travel to look ahead
+      clearance: 4, // Extra distance kept from surfaces regardless of speed
+      force: 300, // Steering at the moment of contact, fading with distance
+    },
+  };
+}
+
+// Widest rule distance among the given species (all of them by default), so
+// flockmate queries of that radius find every bird any rule could use
+export function getFlockRadius(settings, species = Object.values(SPECIES)) {
+  const { params, interSpeciesSpacing } = settings;
+  return Math.max(
+    ...species.map(({ radii }) =>
+      Math.max(
+        params.separationDistance * radii.separation * interSpeciesSpacing,
+        params.cohesionDistance * radii.cohesion,
+        params.alignmentDistance * radii.alignment
+      )
+    )
+  );
+}
+
+// Neighbor queries cover the widest rule distance of any species
+export function getNeighborRadius(settings) {
+  return Math.max(settings.interFlock.avoidDistance, getFlockRadius(settings));
+}
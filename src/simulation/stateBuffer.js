@@ -0,0 +1,110 @@
+// Packs a simulation's state into a Float32Array so it can cross between
+// threads as a transferable buffer. One frame is laid out as:
+//   bird count, flock count, predator count (uint32)
+//   per bird: id (uint32), previous position, position, velocity, panic
+//   per flock: id (uint32), center, heading, spread, waypoint index
+//   per predator: id (uint32), previous position, position, velocity
+// Ids share the float array's buffer through a Uint32Array view, so they
+// survive exactly.
+
+export const HEADER_LENGTH = 3;
+export const BIRD_STRIDE = 11;
+export const FLOCK_STRIDE = 9;
+export const PREDATOR_STRIDE = 10;
+
+export function getFrameLength(simulation) {
+  return (
+    HEADER_LENGTH +
+    simulation.getAllBirds().length * BIRD_STRIDE +
+    simulation.flocks.length * FLOCK_STRIDE +
+    simulation.predators.length * PREDATOR_STRIDE
+  );
+}
+
+function writeVector(floats, offset, vector) {
+  floats[offset] = vector.x;
+  floats[offset + 1] = vector.y;
+  floats[offset + 2] = vector.z;
+}
+
+function readVector(floats, offset, vector) {
+  vector.set(floats[offset], floats[offset + 1], floats[offset + 2]);
+}
+
+// Write one frame at offset, which must leave getFrameLength() floats free.
+// Returns the offset just past the frame.
+export function writeFrame(simulation, floats, offset) {
+  const ids = new Uint32Array(floats.buffer, floats.byteOffset, floats.length);
+  const birds = simulation.getAllBirds();
+
+  ids[offset] = birds.length;
+  ids[offset + 1] = simulation.flocks.length;
+  ids[offset + 2] = simulation.predators.length;
+  offset += HEADER_LENGTH;
+
+  for (const bird of birds) {
+    ids[offset] = bird.id;
+    writeVector(floats, offset + 1, bird.previousPosition);
+    writeVector(floats, offset + 4, bird.position);
+    writeVector(floats, offset + 7, bird.velocity);
+    floats[offset + 10] = bird.panic;
+    offset += BIRD_STRIDE;
+  }
+
+  for (const flock of simulation.flocks) {
+    ids[offset] = flock.id;
+    writeVector(floats, offset + 1, flock.center);
+    writeVector(floats, offset + 4, flock.heading);
+    floats[offset + 7] = flock.spread;
+    floats[offset + 8] = flock.waypointIndex;
+    offset += FLOCK_STRIDE;
+  }
+
+  for (const predator of simulation.predators) {
+    ids[offset] = predator.id;
+    writeVector(floats, offset + 1, predator.previousPosition);
+    writeVector(floats, offset + 4, predator.position);
+    writeVector(floats, offset + 7, predator.velocity);
+    offset += PREDATOR_STRIDE;
+  }
+
+  return offset;
+}
+
+// Copy the frame at offset onto mirrored objects, looked up by id through
+// the given maps. Returns the offset just past the frame.
+export function readFrame(floats, offset, birds, flocks, predators) {
+  const ids = new Uint32Array(floats.buffer, floats.byteOffset, floats.length);
+  const birdCount = ids[offset];
+  const flockCount = ids[offset + 1];
+  const predatorCount = ids[offset + 2];
+  offset += HEADER_LENGTH;
+
+  for (let i = 0; i < birdCount; i++, offset += BIRD_STRIDE) {
+    const bird = birds.get(ids[offset]);
+    if (!bird) continue;
+    readVector(floats, offset + 1, bird.previousPosition);
+    readVector(floats, offset + 4, bird.position);
+    readVector(floats, offset + 7, bird.velocity);
+    bird.panic = floats[offset + 10];
+  }
+
+  for (let i = 0; i < flockCount; i++, offset += FLOCK_STRIDE) {
+    const flock = flocks.get(ids[offset]);
+    if (!flock) continue;
+    readVector(floats, offset + 1, flock.center);
+    readVector(floats, offset + 4, flock.heading);
+    flock.spread = floats[offset + 7];
+    flock.waypointIndex = floats[offset + 8];
+  }
+
+  for (let i = 0; i < predatorCount; i++, offset += PREDATOR_STRIDE) {
+    const predator = predators.get(ids[offset]);
+    if (!predator) continue;
+    readVector(floats, offset + 1, predator.previousPosition);
+    readVector(floats, offset + 4, predator.position);
+    readVector(floats, offset + 7, predator.velocity);
+  }
+
+  return offset;
+}
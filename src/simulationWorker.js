@@ -0,0 +1,122 @@
+import Simulation from "./simulation/Simulation.js";
+import { getFrameLength, writeFrame } from "./simulation/stateBuffer.js";
+import { runCommand } from "./simulation/commands.js";
+import { createSceneObstacles } from "./sceneObstacles.js";
+
+// Runs the flock simulation off the main thread for WorkerSimulation.
+//
+// Messages in:
+//   { type: "init", seed, settings }
+//   { type: "run", settings, commands, buffer }, with commands as
+//     simulation/commands.js describes
+// Messages out:
+//   { type: "state", events, frames, buffer }, with the buffer transferred
+//     back holding one frame (see stateBuffer.js) per step, plus a final one
+//     whenever commands ran after the last step. frames lists each frame's
+//     { offset, stepped }, and events [frameIndex, type, data] describe
+//     birds, flocks and predators coming and going before that frame.
+
+let simulation = null;
+let events = [];
+let frames = [];
+
+function init({ seed, settings }) {
+  simulation = new Simulation({
+    seed,
+    settings,
+    obstacles: createSceneObstacles(),
+  });
+
+  const record = (type, data) => events.push([frames.length, type, data]);
+  simulation
+    .on("flockAdded", (flock) =>
+      record("flockAdded", {
+        id: flock.id,
+        species: flock.species,
+        // Left out for flocks on the shared boundary, which the mirror has
+        boundary:
+          flock.boundary === simulation.settings.boundary
+            ? null
+            : flock.boundary,
+      })
+    )
+    .on("flockRemoved", (flock) => record("flockRemoved", flock.id))
+    .on("birdAdded", (bird) =>
+      record("birdAdded", {
+        id: bird.id,
+        flockId: bird.flock.id,
+        species: bird.species.id,
+      })
+    )
+    .on("birdRemoved", (bird) => record("birdRemoved", bird.id))
+    .on("birdMoved", (bird) =>
+      record("birdMoved", { id: bird.id, flockId: bird.flock.id })
+    )
+    .on("predatorAdded", (predator) => record("predatorAdded", predator.id))
+    .on("predatorRemoved", (predator) => record("predatorRemoved", predator.id))
+    .on("waypointsChanged", (flock) =>
+      record("waypointsChanged", {
+        id: flock.id,
+        points: flock.waypoints.map(({ x, y, z }) => ({ x, y, z })),
+        index: flock.waypointIndex,
+      })
+    );
+}
+
+// Copy live tuning into the settings objects in place, since flocks hold on
+// to the shared boundary object
+function applySettings(settings) {
+  for (const [key, value] of Object.entries(settings)) {
+    if (value && typeof value === "object") {
+      Object.assign(simulation.settings[key], value);
+    } else {
+      simulation.settings[key] = value;
+    }
+  }
+}
+
+function run({ settings, commands, buffer }) {
+  applySettings(settings);
+  events = [];
+  frames = [];
+
+  let floats = new Float32Array(buffer);
+  let offset = 0;
+  const capture = (stepped) => {
+    const length = getFrameLength(simulation);
+    if (offset + length > floats.length) {
+      const grown = new Float32Array(
+        Math.max(floats.length * 2, offset + length)
+      );
+      grown.set(floats.subarray(0, offset));
+      floats = grown;
+    }
+    frames.push({ offset, stepped });
+    offset = writeFrame(simulation, floats, offset);
+  };
+
+  let captured = false;
+  for (const command of commands) {
+    runCommand(simulation, command);
+    const [method] = command;
+    captured = method === "step" || method === "applyFrame";
+    if (captured) {
+      capture(method === "step");
+    }
+  }
+  if (!captured) {
+    capture(false);
+  }
+
+  self.postMessage({ type: "state", events, frames, buffer: floats.buffer }, [
+    floats.buffer,
+  ]);
+}
+
+self.addEventListener("message", ({ data }) => {
+  if (data.type === "init") {
+    init(data);
+  } else if (data.type === "run") {
+    run(data);
+  }
+});
@@ -0,0 +1,59 @@
+// Registry of bird species the scene can spawn.
+// Speed, neighbor radii and force weights are multipliers on the shared
+// flocking parameters, so tuning those still moves every species together.
+// A species may also give `clips`, naming the model's animation clip to play
+// in each FlightAnimator state (cruise, climb, glide, turn, labor); the rest
+// play the model's first clip.
+
+export const SPECIES = {
+  stork: {
+    model: "/src/models/Stork.glb",
+    scale: 0.05,
+    // 1 means model faces +Z, -1 means model faces -Z
+    facing: -1,
+    // Extra yaw applied once the model faces its direction of travel
+    yawCorrection: Math.PI,
+    speed: 1,
+    radii: { separation: 1, alignment: 1, cohesion: 1 },
+    weights: { separation: 1, alignment: 1, cohesion: 1 },
+    // Wing-flap playback rate relative to the clip's own speed
+    animationRate: 1,
+  },
+
+  // Large and stately: slower, keeps more room and flaps lazily
+  flamingo: {
+    model: "/src/models/Flamingo.glb",
+    scale: 0.05,
+    facing: -1,
+    yawCorrection: Math.PI,
+    speed: 0.8,
+    radii: { separation: 1.4, alignment: 1.2, cohesion: 1.2 },
+    weights: { separation: 1, alignment: 1.3, cohesion: 0.8 },
+    animationRate: 0.8,
+  },
+
+  // Small and quick: tight, twitchy groups with fast wingbeats
+  parrot: {
+    model: "/src/models/Parrot.glb",
+    scale: 0.04,
+    facing: -1,
+    yawCorrection: Math.PI,
+    speed: 1.25,
+    radii: { separation: 0.7, alignment: 0.8, cohesion: 1 },
+    weights: { separation: 1.2, alignment: 0.7, cohesion: 1.5 },
+    animationRate: 1.5,
+  },
+};
+
+export function getSpecies(id) {
+  const species = SPECIES[id];
+  if (!species) {
+    throw new Error(`Unknown bird species "${id}"`);
+  }
+  return species;
+}
+
+// Let each entry know its own key, for lookups and recordings
+for (const [id, species] of Object.entries(SPECIES)) {
+  species.id = id;
+}
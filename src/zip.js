@@ -0,0 +1,91 @@
+// Just enough of the zip format to bundle exported frames: files are stored
+// without compression, which costs nothing for PNGs that are compressed
+// already. No zip64, so archives stay under 4 GB and 65535 files.
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Date and time in the packed MS-DOS form zip headers use
+function dosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      (date.getSeconds() >> 1),
+    date:
+      ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+// A zip archive of files, each { name, data } with data a Uint8Array
+export function createZip(files, modified = new Date()) {
+  const { time, date } = dosDateTime(modified);
+  const encoder = new TextEncoder();
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const { name, data } of files) {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+
+    // Fields shared by the local header and the central directory entry,
+    // from "version needed" through the file name length
+    const common = new DataView(new ArrayBuffer(26));
+    common.setUint16(0, 20, true);
+    // Bit 11: the name is UTF-8
+    common.setUint16(2, 0x0800, true);
+    common.setUint16(4, 0, true);
+    common.setUint16(6, time, true);
+    common.setUint16(8, date, true);
+    common.setUint32(10, crc, true);
+    common.setUint32(14, data.length, true);
+    common.setUint32(18, data.length, true);
+    common.setUint16(22, nameBytes.length, true);
+    const commonBytes = new Uint8Array(common.buffer);
+
+    const local = new Uint8Array(30 + nameBytes.length);
+    new DataView(local.buffer).setUint32(0, 0x04034b50, true);
+    local.set(commonBytes, 4);
+    local.set(nameBytes, 30);
+    parts.push(local, data);
+
+    const entry = new Uint8Array(46 + nameBytes.length);
+    const view = new DataView(entry.buffer);
+    view.setUint32(0, 0x02014b50, true);
+    view.setUint16(4, 20, true);
+    entry.set(commonBytes, 6);
+    view.setUint32(42, offset, true);
+    entry.set(nameBytes, 46);
+    directory.push(entry);
+
+    offset += local.length + data.length;
+  }
+
+  const directorySize = directory.reduce((sum, entry) => sum + entry.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...directory, end.buffer], {
+    type: "application/zip",
+  });
+}
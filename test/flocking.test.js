@@ -0,0 +1,203 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Simulation from "../src/simulation/Simulation.js";
+import Flock from "../src/simulation/Flock.js";
+import Bird from "../src/simulation/Bird.js";
+import Vec3 from "../src/simulation/Vec3.js";
+import SpatialGrid from "../src/simulation/SpatialGrid.js";
+import { getSpecies } from "../src/species.js";
+
+const STEP = 1 / 60;
+
+function run(simulation, seconds) {
+  for (let i = 0; i < seconds / STEP; i++) {
+    simulation.step(STEP);
+  }
+}
+
+// A flock placed by hand, one bird per [position, velocity] pair
+function placeFlock(simulation, birds) {
+  const flock = simulation.addFlock(
+    new Flock(0, ["stork"], new Vec3(), simulation.settings.boundary)
+  );
+  birds.forEach(([position, velocity], id) =>
+    simulation.addBird(
+      new Bird(
+        simulation,
+        id,
+        flock,
+        getSpecies("stork"),
+        new Vec3(...position),
+        new Vec3(...velocity)
+      ),
+      flock
+    )
+  );
+  return flock;
+}
+
+// 1 when every bird heads the same way, near 0 for scattered headings
+function headingOrder(flock) {
+  const sum = new Vec3();
+  for (const bird of flock.birds) {
+    sum.add(bird.velocity.clone().normalize());
+  }
+  return sum.length() / flock.birds.length;
+}
+
+test("separation pushes crowded birds apart", () => {
+  const simulation = new Simulation();
+  const [a, b] = placeFlock(simulation, [
+    [
+      [0, 0, 0],
+      [0, 0, 0],
+    ],
+    [
+      [1, 0, 0],
+      [0, 0, 0],
+    ],
+  ]).birds;
+
+  run(simulation, 0.25);
+
+  const distance = a.position.distanceTo(b.position);
+  assert.ok(distance > 2, `birds are still ${distance.toFixed(2)} apart`);
+  assert.ok(
+    a.position.x < 0 && b.position.x > 1,
+    "birds moved toward each other"
+  );
+});
+
+test("alignment brings a flock onto a common heading", () => {
+  const simulation = new Simulation({ seed: 3 });
+  const flock = simulation.spawnFlock(
+    ["stork"],
+    8,
+    simulation.settings.boundary,
+    {
+      center: new Vec3(),
+      size: new Vec3(),
+    }
+  );
+  const before = headingOrder(flock);
+
+  run(simulation, 3);
+
+  const after = headingOrder(flock);
+  assert.ok(before < 0.8, `headings started aligned (${before.toFixed(2)})`);
+  assert.ok(after > 0.95, `headings only reached ${after.toFixed(2)}`);
+});
+
+for (const mode of ["softBox", "sphere", "cylinder", "wrap", "attractor"]) {
+  test(`the ${mode} boundary keeps flocks in the world`, () => {
+    const simulation = new Simulation({ seed: 5 });
+    simulation.settings.boundary.mode = mode;
+    for (let i = 0; i < 4; i++) {
+      simulation.spawnFlock(["parrot", "stork"], 6);
+    }
+    const { worldSize } = simulation.settings.params;
+    // Birds may overshoot the edge a little before the push turns them
+    const limit = worldSize * 1.25;
+
+    for (let second = 0; second < 30; second++) {
+      run(simulation, 1);
+      for (const bird of simulation.getAllBirds()) {
+        const { x, y, z } = bird.position;
+        assert.ok(
+          Math.max(Math.abs(x), Math.abs(y), Math.abs(z)) < limit,
+          `bird ${bird.id} escaped to (${x.toFixed(1)}, ${y.toFixed(
+            1
+          )}, ${z.toFixed(1)}) after ${second + 1}s`
+        );
+      }
+    }
+  });
+}
+
+test("a boundary left without a margin still keeps birds in", () => {
+  const simulation = new Simulation({ seed: 5 });
+  simulation.spawnFlock(["stork"], 6, { mode: "sphere" });
+  const limit = simulation.settings.params.worldSize * 1.25;
+
+  run(simulation, 10);
+
+  for (const bird of simulation.getAllBirds()) {
+    const distance = bird.position.length();
+    assert.ok(
+      distance < limit,
+      `bird ${bird.id} ended up ${distance.toFixed(1)} from the center`
+    );
+  }
+});
+
+test("the push between flocks matches checking every pair of birds", () => {
+  const simulation = new Simulation({ seed: 7 });
+  for (let i = 0; i < 12; i++) {
+    simulation.spawnFlock(["parrot"], 10, simulation.settings.boundary, {
+      center: new Vec3(),
+      size: new Vec3(20, 20, 20),
+    });
+  }
+  const birds = simulation.getAllBirds();
+  const radius = 6;
+  // Cells smaller than the radius make the grid reach past its neighbors
+  const grid = new SpatialGrid(radius / 2);
+  birds.forEach((bird) => grid.insert(bird, bird.flock));
+  grid.repelAll(radius);
+
+  for (const bird of birds) {
+    const expected = new Vec3();
+    let expectedCount = 0;
+    for (const other of birds) {
+      const distanceSquared = bird.position.distanceToSquared(other.position);
+      if (
+        other.flock === bird.flock ||
+        distanceSquared === 0 ||
+        distanceSquared >= radius * radius
+      ) {
+        continue;
+      }
+      expected.addScaledVector(
+        new Vec3().subVectors(bird.position, other.position),
+        1 / distanceSquared
+      );
+      expectedCount++;
+    }
+
+    const sum = new Vec3();
+    assert.equal(grid.getRepulsion(bird, sum), expectedCount);
+    assert.ok(
+      sum.distanceTo(expected) < 1e-9,
+      `bird ${bird.id} was pushed ${sum.distanceTo(expected)} off`
+    );
+  }
+});
+
+test("distant flocks sit out steps and make up the time they missed", () => {
+  const simulation = new Simulation({ seed: 9 });
+  const region = { center: new Vec3(), size: new Vec3(10, 10, 10) };
+  const flocks = [0, 1, 2].map(() =>
+    simulation.spawnFlock(["stork"], 4, simulation.settings.boundary, region)
+  );
+  run(simulation, STEP);
+  simulation.setDistantFlocks(new Vec3(1000, 0, 0), 100, 3);
+
+  for (let i = 0; i < 6; i++) {
+    const before = flocks.map((flock) => flock.birds[0].position.clone());
+    simulation.step(STEP);
+
+    // Flocks take turns by id, one a step
+    const moved = flocks.filter(
+      (flock, index) => flock.birds[0].position.distanceTo(before[index]) > 0
+    );
+    assert.deepEqual(
+      moved.map((flock) => flock.id),
+      [simulation.stepCount % 3]
+    );
+    assert.equal(moved[0].restTime, 0);
+  }
+
+  // The others are owed the steps since their last turn
+  const owed = flocks.map((flock) => Math.round(flock.restTime / STEP));
+  assert.deepEqual(owed.sort(), [0, 1, 2]);
+});